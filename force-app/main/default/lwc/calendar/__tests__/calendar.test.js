@@ -1,5 +1,57 @@
 import { createElement } from 'lwc';
 import Calendar from 'c/calendar';
+import createEvent from '@salesforce/apex/CalendarController.createEvent';
+
+jest.mock(
+    '@salesforce/apex/CalendarController.createEvent',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/CalendarController.fetchRunningTimer',
+    () => ({ default: jest.fn().mockResolvedValue(null) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/EntryTemplateController.fetchTemplates',
+    () => ({ default: jest.fn().mockResolvedValue([]) }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WorkingTimeRules.getRules',
+    () => ({
+        default: jest.fn().mockResolvedValue({
+            maxDailyHours: 8,
+            maxWeeklyHours: 40,
+            minRestHours: 11,
+            maxConsecutiveDays: 6,
+            roundingMode: 'None',
+            roundingIncrement: 15
+        })
+    }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/WorkSchedule.getSchedule',
+    () => ({
+        default: jest.fn().mockResolvedValue({ startTime: '09:00', endTime: '17:00', workingDays: [1, 2, 3, 4, 5], dailyHours: 8 })
+    }),
+    { virtual: true }
+);
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// FullCalendar v3 is a jQuery plugin loaded as a static resource, only its options are kept here
+let calendarOptions;
+global.moment = { locales: () => [], defineLocale: jest.fn() };
+global.$ = () => ({
+    fullCalendar: options => {
+        if (typeof options === 'object') {
+            calendarOptions = options;
+        }
+    }
+});
+const wallClock = value => ({ format: () => value });
 
 describe('c-calendar', () => {
     afterEach(() => {
@@ -7,6 +59,8 @@ describe('c-calendar', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        localStorage.clear();
+        jest.clearAllMocks();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +76,31 @@ describe('c-calendar', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('links an entry added on a record page to the record', async () => {
+        // Arrange
+        createEvent.mockResolvedValue('a00000000000001');
+        const element = createElement('c-calendar', {
+            is: Calendar
+        });
+        element.recordId = '500000000000001';
+        document.body.appendChild(element);
+        await flushPromises();
+
+        calendarOptions.select(wallClock('2024-03-19T09:00:00'), wallClock('2024-03-19T17:00:00'));
+        await flushPromises();
+        element.shadowRoot.querySelectorAll('lightning-input').forEach(input => {
+            input.reportValidity = () => true;
+        });
+
+        // Act
+        [...element.shadowRoot.querySelectorAll('lightning-button')]
+            .find(button => button.label === 'c.Calendar_Save')
+            .click();
+        await flushPromises();
+
+        // Assert
+        expect(createEvent).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(createEvent.mock.calls[0][0].event).recordId).toBe('500000000000001');
+    });
+});
@@ -1,102 +1,376 @@
-import { LightningElement, track, wire } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
 import { loadScript, loadStyle } from 'lightning/platformResourceLoader';
-import { refreshApex } from '@salesforce/apex';
 import LightningConfirm from 'lightning/confirm';
+import LightningPrompt from 'lightning/prompt';
 import FullCalendarJS from '@salesforce/resourceUrl/FullCalendarJS';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import LOCALE from '@salesforce/i18n/locale';
+import FIRST_DAY_OF_WEEK from '@salesforce/i18n/firstDayOfWeek';
+import HAS_TEAM_PERMISSION from '@salesforce/customPermission/ViewTeamTimeEntries';
+import USER_ID from '@salesforce/user/Id';
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
 import createEvent from '@salesforce/apex/CalendarController.createEvent';
 import fetchEvents from '@salesforce/apex/CalendarController.fetchEvents';
+import fetchTeamEvents from '@salesforce/apex/CalendarController.fetchTeamEvents';
+import fetchRecordHours from '@salesforce/apex/CalendarController.fetchRecordHours';
 import deleteEvent from '@salesforce/apex/CalendarController.deleteEvent';
 import updateEvent from '@salesforce/apex/CalendarController.updateEvent';
+import createEvents from '@salesforce/apex/CalendarController.createEvents';
+import fetchRunningTimer from '@salesforce/apex/CalendarController.fetchRunningTimer';
+import startTimer from '@salesforce/apex/CalendarController.startTimer';
+import getChangeKeys from '@salesforce/apex/CalendarController.getChangeKeys';
+import stopTimer from '@salesforce/apex/CalendarController.stopTimer';
+import discardTimer from '@salesforce/apex/CalendarController.discardTimer';
+import fetchTimesheets from '@salesforce/apex/TimesheetController.fetchTimesheets';
+import submitTimesheet from '@salesforce/apex/TimesheetController.submitTimesheet';
+import getWorkingTimeRules from '@salesforce/apex/WorkingTimeRules.getRules';
+import getSchedule from '@salesforce/apex/WorkSchedule.getSchedule';
+import fetchNonWorkingDays from '@salesforce/apex/WorkSchedule.fetchNonWorkingDays';
+import fetchTemplates from '@salesforce/apex/EntryTemplateController.fetchTemplates';
+import saveTemplate from '@salesforce/apex/EntryTemplateController.saveTemplate';
+import deleteTemplate from '@salesforce/apex/EntryTemplateController.deleteTemplate';
+import { buildTimesheetCsv, buildICalendar } from 'c/timesheetExport';
+import { parseTimesheetFile, validateImportRows, IMPORT_STATUS } from 'c/timesheetImport';
+import { evaluateWorkingTime, calculateHours, splitEventByDay, getExpectedHours, DEFAULT_RULES, DEFAULT_SCHEDULE, ROUNDING_MODE, RULE_VIOLATION } from 'c/workingTimeRules';
+import { shiftEntries, getTemplateStart, applyTemplate, toTemplate, getTemplateEndTime } from 'c/entryCopy';
+import { toWallClock, fromWallClock, toLocalDate, formatDateTime, getWeekStart, getWeekNumber, addDays, daysBetween } from 'c/timeZoneUtils';
+import { getWeekRules, getWeekdayNames, getMomentLocale, formatLabel } from 'c/localization';
+import {
+    readQueue,
+    writeQueue,
+    createMutation,
+    getNextMutation,
+    hasPendingMutations,
+    markFailed,
+    markRejected,
+    resetRetries,
+    removeMutation,
+    isConnectivityError,
+    acquireLease,
+    releaseLease,
+    applyMutations,
+    MUTATION_TYPE,
+    MUTATION_STATUS,
+    LEASE_DURATION
+} from 'c/mutationQueue';
+import LABELS from './labels';
 
 const DEFAULT_FORM = {
     title: "",
     start: "",
     end: "",
     weekday: "",
-    hours: 0
-};
-const DEFAULT_LOCAL_TIME = {
-    start: new Date(),
-    end: new Date()
-};
-const DEFAULT_UTC_TIME = {
-    start: new Date(),
-    end: new Date()
+    hours: 0,
+    project: null,
+    projectName: "",
+    projectColor: null,
+    note: "",
+    breakMinutes: 0
 };
 const CONFIRM_REMOVAL = {
-    message: 'Are you sure you want to delete this record?',
+    message: LABELS.confirmDeleteMessage,
     variant: 'headerless',
-    label: 'Delete Confirmation'
+    label: LABELS.confirmDeleteTitle
+};
+const CONFIRM_WORKING_TIME = {
+    message: LABELS.confirmWorkingTimeMessage,
+    theme: 'warning',
+    label: LABELS.confirmWorkingTimeTitle
 };
 const TOAST_MESSAGE = {
-    create: 'Your record is created!',
-    update: 'Your record is updated!',
-    delete: 'Your record is deleted!'
+    create: LABELS.created,
+    update: LABELS.updated,
+    delete: LABELS.deleted,
+    undo: LABELS.undone,
+    redo: LABELS.redone,
+    undoUnavailable: LABELS.undoUnavailable,
+    submit: LABELS.submitted,
+    locked: LABELS.weekLocked,
+    readOnly: LABELS.teamReadOnly,
+    readOnlyCalendar: LABELS.calendarReadOnly,
+    clockIn: LABELS.clockedIn,
+    clockOut: LABELS.clockedOut,
+    timerDiscarded: LABELS.timerDiscarded,
+    timerRunning: LABELS.timerRunning,
+    noEntriesToCopy: LABELS.noEntriesToCopy,
+    noEntriesToImport: LABELS.importNoEntries,
+    templateSaved: LABELS.templateSaved,
+    templateDeleted: LABELS.templateDeleted,
+    savedOffline: LABELS.savedOffline,
+    changesSynced: LABELS.changesSynced,
+    changeRejected: LABELS.changeRejected,
+    waitingToSync: LABELS.waitingToSync
+};
+const PROMPT_TEMPLATE_NAME = {
+    message: LABELS.templateName,
+    label: LABELS.saveAsTemplate
+};
+// what the sidebar copies to another day or week
+const COPY_PERIOD = {
+    day: 'day',
+    week: 'week'
 }; 
+const EXPORT_FORMAT = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    ics: { extension: 'ics', mimeType: 'text/calendar' }
+};
+const IMPORT_STATUS_CLASS = {
+    [IMPORT_STATUS.ready]: '',
+    [IMPORT_STATUS.invalid]: 'slds-text-color_error',
+    [IMPORT_STATUS.overlap]: 'slds-text-color_error',
+    [IMPORT_STATUS.imported]: 'slds-text-color_success',
+    [IMPORT_STATUS.failed]: 'slds-text-color_error'
+};
+const IMPORT_STATUS_LABEL = {
+    [IMPORT_STATUS.ready]: LABELS.statusReady,
+    [IMPORT_STATUS.invalid]: LABELS.statusInvalid,
+    [IMPORT_STATUS.overlap]: LABELS.statusOverlap,
+    [IMPORT_STATUS.imported]: LABELS.statusImported,
+    [IMPORT_STATUS.failed]: LABELS.statusFailed
+};
 const TOAST_VARIANT = {
     success: 'success',
+    warning: 'warning',
     error: 'error'
 };
-const TIMEZONE_OFFSET = (new Date()).getTimezoneOffset() * 60000;
-const START_OF_THE_YEAR = new Date(new Date().getFullYear(), 0, 1);
+// what submitMutation resolves with when a change waits in the queue, see c/mutationQueue
+const QUEUED = 'QUEUED';
+const MUTATION_LABEL = {
+    [MUTATION_TYPE.create]: LABELS.mutationCreate,
+    [MUTATION_TYPE.update]: LABELS.mutationUpdate,
+    [MUTATION_TYPE.delete]: LABELS.mutationDelete
+};
+// BroadcastChannel telling the other tabs of this browser that entries or the queue changed
+const SYNC_CHANNEL = 'c-calendar';
+const SYNC_MESSAGE = {
+    entriesChanged: 'entriesChanged',
+    queueChanged: 'queueChanged'
+};
+// platform event CalendarController publishes for each change, see TimeEntryChange__e
+const CHANGE_EVENT_CHANNEL = '/event/TimeEntryChange__e';
+// tabs of the calendar column, the reports tab showing c-time-report
+const TAB = {
+    calendar: 'calendar',
+    reports: 'reports'
+};
+// FullCalendar id of the running timer, redrawn every minute so it grows on the calendar
+const TIMER_EVENT_ID = 'runningTimer';
+const MILLISECONDS_PER_SECOND = 1000;
+const MILLISECONDS_PER_MINUTE = 1000 * 60;
 const MILLISECONDS_PER_HOUR = 1000 * 60 * 60;
-const MILLISECONDS_PER_YEAR = 1000 * 60 * 60 * 24;
-const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun', ];
+// week numbering of the user's locale, ISO 8601 or US, used by FullCalendar's weekNumbers column and the sidebar
+const WEEK_RULES = getWeekRules(FIRST_DAY_OF_WEEK);
+// moment locale built from the user's Salesforce locale, e.g. 'de-de'
+const MOMENT_LOCALE = LOCALE.toLowerCase();
+const WEEKDAYS = getWeekdayNames(LOCALE); // from Monday
+// values of the firstDay design attribute, in the order of FullCalendar's firstDay option; any other value follows the locale
+const FIRST_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const NO_PROJECT_LABEL = LABELS.noProject;
+// see WorkSchedule.TYPE_*
+const NON_WORKING_DAY_TYPE = {
+    holiday: 'Holiday',
+    leave: 'Leave'
+};
+const NON_WORKING_DAY_LABEL = {
+    [NON_WORKING_DAY_TYPE.holiday]: LABELS.holiday,
+    [NON_WORKING_DAY_TYPE.leave]: LABELS.leave
+};
+const NON_WORKING_DAY_COLOR = {
+    [NON_WORKING_DAY_TYPE.holiday]: '#f4b6b6',
+    [NON_WORKING_DAY_TYPE.leave]: '#b6d4f4'
+};
+const WALL_CLOCK_FORMAT = 'YYYY-MM-DD[T]HH:mm:ss';
+const MAX_ENTRY_HOURS = 24; // keep in sync with CalendarController.MAX_ENTRY_HOURS
+const VALIDATION_MESSAGE = {
+    INVALID_DATE: LABELS.invalidDate,
+    NON_POSITIVE_DURATION: LABELS.nonPositiveDuration,
+    MAX_DURATION_EXCEEDED: formatLabel(LABELS.maxDurationExceeded, MAX_ENTRY_HOURS),
+    OVERLAP: LABELS.overlap,
+    WEEK_LOCKED: LABELS.weekLocked,
+    INVALID_BREAK: LABELS.invalidBreak
+};
+// formatted with the values of each violation of c/workingTimeRules
+const VIOLATION_MESSAGE = {
+    [RULE_VIOLATION.dailyHours]: LABELS.violationDailyHours,
+    [RULE_VIOLATION.weeklyHours]: LABELS.violationWeeklyHours,
+    [RULE_VIOLATION.rest]: LABELS.violationRest,
+    [RULE_VIOLATION.consecutiveDays]: LABELS.violationConsecutiveDays
+};
+// see TimesheetController.STATUS_*
+const TIMESHEET_STATUS = {
+    draft: 'Draft',
+    submitted: 'Submitted',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+const LOCKED_TIMESHEET_STATUSES = [TIMESHEET_STATUS.submitted, TIMESHEET_STATUS.approved];
+const TIMESHEET_STATUS_CLASS = {
+    [TIMESHEET_STATUS.draft]: 'slds-badge',
+    [TIMESHEET_STATUS.submitted]: 'slds-badge slds-theme_warning',
+    [TIMESHEET_STATUS.approved]: 'slds-badge slds-theme_success',
+    [TIMESHEET_STATUS.rejected]: 'slds-badge slds-theme_error'
+};
+const TIMESHEET_STATUS_LABEL = {
+    [TIMESHEET_STATUS.draft]: LABELS.statusDraft,
+    [TIMESHEET_STATUS.submitted]: LABELS.statusSubmitted,
+    [TIMESHEET_STATUS.approved]: LABELS.statusApproved,
+    [TIMESHEET_STATUS.rejected]: LABELS.statusRejected
+};
+const DEFAULT_RECURRENCE = {
+    repeat: false,
+    frequency: 'WEEKLY',
+    interval: 1,
+    weekdays: [],
+    ends: 'count',
+    count: 10,
+    until: ''
+};
+const RECURRENCE_FREQUENCY_OPTIONS = [
+    { label: LABELS.daily, value: 'DAILY' },
+    { label: LABELS.weekly, value: 'WEEKLY' }
+];
+const RECURRENCE_WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RECURRENCE_END_OPTIONS = [
+    { label: LABELS.endsAfterCount, value: 'count' },
+    { label: LABELS.endsOnDate, value: 'until' }
+];
+// which occurrences of a recurring series an update or delete applies to, see CalendarController.SCOPE_*
+const RECURRENCE_SCOPE = {
+    this: 'this',
+    following: 'following',
+    all: 'all'
+};
+const RECURRENCE_SCOPE_OPTIONS = [
+    { label: LABELS.scopeThis, value: RECURRENCE_SCOPE.this },
+    { label: LABELS.scopeFollowing, value: RECURRENCE_SCOPE.following },
+    { label: LABELS.scopeAll, value: RECURRENCE_SCOPE.all }
+];
 
 export default class FullCalendarJs extends LightningElement {
 
-    @track selectedEvent = DEFAULT_FORM;
-    @track events = []; // all calendar events are stored in this field
-    @track eventOriginalData = []; // to store the orignal wire object to use in refreshApex method
-    localTime = DEFAULT_LOCAL_TIME;
-    utcTime = DEFAULT_UTC_TIME;
+    // design attributes, see calendar.js-meta.xml
+    @api defaultView = 'month';
+    @api firstDay = 'Locale';
+    @api minTime = '00:00'; // first visible hour of the week and day views
+    @api maxTime = '24:00';
+    @api slotDuration = 30; // in minutes
+    @api hideSidebar = false;
+    @api readOnly = false; // shows the entries without creating, changing, copying or submitting them
+    @api height = 800; // in pixels, of both the sidebar and the calendar
+
+    // set on a record page: entries are linked to the record, see CalendarController.RELATED_RECORD_FIELDS
+    @api recordId;
+
+    @track selectedEvent = { ...DEFAULT_FORM };
+    @track events = []; // events of the visible range are stored in this field, with start and end in UTC
+    recordHours = {}; // hours of all users on the host record of the fetched ranges, keyed by the Monday of the week
+    timesheets = {}; // timesheet status of the fetched weeks, keyed by the Monday of the week; reassigned to re-render
+    eventCache = new Map(); // fetched ranges, keyed by range, so navigating back doesn't hit the server again
+    timeZone = TIME_ZONE; // IANA time zone of the Salesforce user, e.g. 'Europe/Paris'
+    canViewTeam = HAS_TEAM_PERMISSION; // managers with the ViewTeamTimeEntries custom permission
+    isTeamMode = false; // shows the read-only entries of the user's direct reports instead of their own
+    workingTimeRules = DEFAULT_RULES; // overtime thresholds, from the WorkingTimeRule__mdt Default record once loaded
+    workSchedule = DEFAULT_SCHEDULE; // business hours and daily hours, from the WorkSchedule__c custom setting once loaded
+    nonWorkingDays = {}; // holidays and days of leave of the fetched ranges, keyed by 'YYYY-MM-DD'; reassigned to re-render
+    @track recurrence = { ...DEFAULT_RECURRENCE };
+    editScope = RECURRENCE_SCOPE.this;
+
+    label = LABELS;
+    frequencyOptions = RECURRENCE_FREQUENCY_OPTIONS;
+    weekdayOptions = WEEKDAYS.map((label, index) => ({ label, value: RECURRENCE_WEEKDAY_CODES[index] }));
+    recurrenceEndOptions = RECURRENCE_END_OPTIONS;
+    scopeOptions = RECURRENCE_SCOPE_OPTIONS;
 
     selectedId;
     eventRecord;
+    pendingRevert; // restores a dropped or resized event opened in the modal if it isn't saved
     fullCalendarJsIsLoaded = false;
-    eventsRendered = false;
     openSpinner = false;
     openModal = false;
-
-    @wire(fetchEvents)
-    eventList(value) {
-
-        console.log('Start fecthing...');
-
-        this.eventOriginalData = value; // to use in refresh cache
-        const { data, error } = value;
-
-        if (data) {
-
-            this.events = [];
-
-            // format as fullcalendar event object
-            this.events = data.map(event => {
-                return {
-                    id: event.Id,
-                    title: event.Name,
-                    start: event.StartDateTime__c,
-                    end: event.EndDateTime__c,
-                    hours: event.Hours__c
-                };
+    openExportModal = false;
+    exportRange = { start: '', end: '' };
+    openImportModal = false;
+    @track importRows = [];
+    openCopyModal = false;
+    copySource = null; // { period, date } being copied, date being the day or the Monday of the week
+    copyTarget = ''; // day picked to copy to, any day of the target week when copying a week
+    @track copyRows = [];
+    templates = []; // saved entry templates of the user, see EntryTemplateController.EntryTemplate
+    draggedTemplateId = null;
+    undoStack = []; // commands of this session, see recordCommand; reassigned so canUndo and canRedo re-render
+    redoStack = [];
+    eventIdAliases = new Map(); // ids of deleted entries mapped to the id they got when undo or redo created them again
+    isReplaying = false;
+    keydownListener = this.keydownHandler.bind(this);
+    runningTimer = null; // open entry of the clock-in timer, without an end until the user clocks out
+    timerNow = Date.now(); // updated every second while the timer runs, so the elapsed time and the sidebar re-render
+    timerInterval;
+    timerError = null; // why the timer could not be stopped, shown with the end to fix until it is stopped or discarded
+    timerEnd; // end of the timer to fix, as an ISO string
+    mutations = readQueue(localStorage, USER_ID); // changes waiting to be saved, see c/mutationQueue; reassigned to re-render
+    mutationCallbacks = new Map(); // mutation id => { resolve, reject } of the submitMutation call waiting for it
+    fixingMutationId = null; // rejected change opened in the modal, dropped from the queue once its fix is saved
+    tabId = Math.random().toString(36).slice(2); // holder of the lease on sending the queue
+    isSyncing = false;
+    hasSyncedMutations = false; // changes of the queue saved since it was last empty
+    syncTimeout;
+    syncChannel;
+    activeTab = TAB.calendar;
+    hasOpenedReports = false; // c-time-report is only created, and fetches its report, once its tab is opened
+    calendarNeedsRender = false;
+    changeSubscription;
+    changeKeys = new Set(); // keys of the TimeEntryChange__e events about the entries shown, see loadChangeKeys
+    onlineListener = this.onlineHandler.bind(this);
+
+    connectedCallback() {
+        window.addEventListener('keydown', this.keydownListener);
+        window.addEventListener('online', this.onlineListener);
+        this.openSyncChannel();
+        this.subscribeToChanges();
+        this.syncMutations();
+        getWorkingTimeRules()
+            .then(rules => {
+                this.workingTimeRules = rules;
+                this.setSnapDuration();
+            })
+            .catch(error => {
+                console.error('Error occured on getWorkingTimeRules', error);
             });
+        getSchedule()
+            .then(schedule => {
+                this.workSchedule = schedule;
+                this.setBusinessHours();
+            })
+            .catch(error => {
+                console.error('Error occured on getSchedule', error);
+            });
+        fetchTemplates()
+            .then(templates => {
+                this.templates = templates;
+            })
+            .catch(error => {
+                console.error('Error occured on fetchTemplates', error);
+            });
+        fetchRunningTimer()
+            .then(record => {
+                this.setRunningTimer(record ? this.toCalendarEvent(record) : null);
+            })
+            .catch(error => {
+                console.error('Error occured on fetchRunningTimer', error);
+            });
+    }
 
-            // render the calendar if data is ready
-            if (!this.eventsRendered) {
-                this.checkIfReadyToRenderCalendar();
-                this.eventsRendered = true;
-                console.log('Finish rendering events');
-            } else {
-                // https://fullcalendar.io/docs/v3/renderEvents
-                const ele = this.template.querySelector("div.fullcalendarjs");
-                $(ele).fullCalendar('removeEvents');
-                $(ele).fullCalendar('renderEvents', this.events, true);
-            }
-
-        } else if (error) {
-            this.events = [];
-            console.error('Error occured in fetching', error)
-            this.showToast(error.message.body, this.TOAST_VARIANT.error);
+    disconnectedCallback() {
+        window.removeEventListener('keydown', this.keydownListener);
+        window.removeEventListener('online', this.onlineListener);
+        clearInterval(this.timerInterval);
+        clearTimeout(this.syncTimeout);
+        releaseLease(localStorage, USER_ID, this.tabId);
+        if (this.syncChannel) {
+            this.syncChannel.close();
+        }
+        if (this.changeSubscription) {
+            unsubscribe(this.changeSubscription, () => {});
         }
     }
 
@@ -106,6 +380,12 @@ export default class FullCalendarJs extends LightningElement {
      */
     renderedCallback() {
 
+        // FullCalendar can't size itself while its tab is hidden, so it renders again once the tab shows
+        if (this.calendarNeedsRender && this.fullCalendarJsIsLoaded) {
+            this.calendarNeedsRender = false;
+            $(this.template.querySelector('div.fullcalendarjs')).fullCalendar('render');
+        }
+
         // only load fullCalendar scripts once
         if (this.fullCalendarJsIsLoaded) {
             return;
@@ -122,36 +402,18 @@ export default class FullCalendarJs extends LightningElement {
         ])
             .then(() => {
                 this.fullCalendarJsIsLoaded = true;
-                
-                // render the calendar if event data is ready
-                if (this.eventsRendered) {
-                    this.checkIfReadyToRenderCalendar();
-                    console.log('Finish loading fullCalendarJS scripts');
-                }
+                console.log('Finish loading fullCalendarJS scripts');
+                this.initializeCalendar();
             })
             .catch(error => {
                 console.error('Error occured on FullCalendarJS', error);
             })
     }
 
-    /**
-     * @description avoid race condition
-     * If $ loads before fetchEvents returns data, no error will appear. Otherwise, if the wire gets done first, 
-     * then $ is not defined and you'll get this error. This is known as a "race condition".
-     * You'll want a separate method to wait for this.events to be set and $ to be available, 
-     * then call that method from both places.
-     * https://salesforce.stackexchange.com/questions/391810/fullcalendar-rendering-error-fullcalendar-is-not-a-function
-     */
-    checkIfReadyToRenderCalendar() {
-        if (this.fullCalendarJsIsLoaded && this.eventsRendered) {
-            this.initializeCalendar();
-        };
-    }
-
     /**
      * @description Initialise the calendar configuration.
      *              This is where we configure the available options for the calendar.
-     *              This is also where we load the events data.
+     *              Events are loaded per visible range through loadEvents as the user navigates.
      */
     initializeCalendar() {
 
@@ -159,21 +421,50 @@ export default class FullCalendarJs extends LightningElement {
 
         var self = this;
 
+        // names, time format and first day of the week of the user's locale: https://fullcalendar.io/docs/v3/locale
+        if (!moment.locales().includes(MOMENT_LOCALE)) {
+            moment.defineLocale(MOMENT_LOCALE, getMomentLocale(LOCALE, WEEK_RULES));
+        }
+
         $(ele).fullCalendar({
+            locale: MOMENT_LOCALE,
+            buttonText: {
+                today: LABELS.today,
+                month: LABELS.month,
+                week: LABELS.week,
+                day: LABELS.day
+            },
+            allDayText: LABELS.allDay,
             header: {
                 left: 'prev, next today',
                 center: 'title',
                 right: 'month, agendaWeek, agendaDay'
             },
             navLinks: true,
-            defaultDate: new Date(),
-            navLinks: true,
-            editable: true,
-            selectable: true,
+            defaultView: this.defaultView,
+            defaultDate: toLocalDate(new Date(), TIME_ZONE),
+            firstDay: FIRST_DAYS.includes(this.firstDay) ? FIRST_DAYS.indexOf(this.firstDay) : WEEK_RULES.firstDay,
+            minTime: this.minTime,
+            maxTime: this.maxTime,
+            slotDuration: { minutes: Number(this.slotDuration) },
+            height: Number(this.height),
+            editable: !this.readOnly,
+            selectable: !this.readOnly,
             weekNumbers: true,
-
-            // ensure FullCalendar uses the local timezone: https://fullcalendar.io/docs/v3/timezone
-            timezone: 'local',
+            // https://fullcalendar.io/docs/v3/weekNumberCalculation
+            weekNumberCalculation: function (date) {
+                return getWeekNumber(date.format('YYYY-MM-DD'), WEEK_RULES);
+            },
+            snapDuration: this.getSnapDuration(),
+            businessHours: this.getBusinessHours(),
+
+            // display in the Salesforce user's time zone: https://fullcalendar.io/docs/v3/timezone
+            // FullCalendar then works with wall-clock time of that zone, converted from and to UTC
+            // in loadEvents, toFullCalendarEvent and toUtcIso
+            timezone: TIME_ZONE,
+            now: function () {
+                return toWallClock(new Date(), TIME_ZONE);
+            },
 
             // to select the time period: https://fullcalendar.io/docs/v3/select-method
             select: function (startDate, endDate) {
@@ -181,8 +472,16 @@ export default class FullCalendarJs extends LightningElement {
             },
 
             eventLimit: true,
-            events: this.events,
-            timeFormat: 'h:mmt',
+
+            // each called for the visible range (prev/next/today, month/week/day): https://fullcalendar.io/docs/v3/events-function
+            eventSources: [
+                function (start, end, timezone, callback) {
+                    self.loadEvents(start, end, callback);
+                },
+                function (start, end, timezone, callback) {
+                    self.loadNonWorkingDays(start, end, callback);
+                }
+            ],
 
             // https://fullcalendar.io/docs/v3/eventClick
             eventClick: function (calEvent, jsEvent, view) {
@@ -191,319 +490,2198 @@ export default class FullCalendarJs extends LightningElement {
             },
 
             // https://fullcalendar.io/docs/v3/eventDrop
-            eventDrop: function (event, delta, revertFunc) {
+            eventDrop: function (event, delta, revertFunc, jsEvent) {
                 this.selectedEvent = event;
-                self.dropEventHandler(event);
+                self.moveEventHandler(event, revertFunc, jsEvent);
             },
 
             // https://fullcalendar.io/docs/v3/eventResize
-            eventResize: function (event, delta, revertFunc) {
+            eventResize: function (event, delta, revertFunc, jsEvent) {
                 this.selectedEvent = event;
-                self.resizeEventHandler(event);
+                self.moveEventHandler(event, revertFunc, jsEvent);
             },
 
             // https://fullcalendar.io/docs/v3/eventRender
             eventRender: function (event, element) {
-                // remove event title from the rendered element
-                element.find('.fc-title').remove();
+                if (event.nonWorkingDay) {
+                    element.attr('title', event.title);
+                    return;
+                }
+                // show the project instead of the title, which is always the date
+                const projectName = event.projectName || NO_PROJECT_LABEL;
+                element.find('.fc-title').text(event.ownerName ? `${event.ownerName}: ${projectName}` : projectName);
+                if (event.locked) {
+                    element.css('opacity', 0.6).attr('title', TOAST_MESSAGE.locked);
+                }
+                if (event.pending) {
+                    element.css({ 'opacity': 0.6, 'border-style': 'dashed' }).attr('title', TOAST_MESSAGE.waitingToSync);
+                } else if (event.rejected) {
+                    element.css({ 'border-color': '#ba0517', 'border-width': '2px' }).attr('title', formatLabel(LABELS.rejectedChange, event.error));
+                }
             }
         });
+        this.renderRunningTimer();
         console.log('Finish initializing calendar');
     }
 
-    saveEvent() {
-        this.openSpinner = true;
-        this.template.querySelectorAll('lightning-input').forEach(ele => {
-            if (ele.name === 'start') {
-                this.selectedEvent.start = new Date(ele.value).toISOString();
-            }
-            if (ele.name === 'end') {
-                this.selectedEvent.end = new Date(ele.value).toISOString();
-            }
-        });
-
-        this.convertUtcTime();
-        this.calculateWorkingHours();
-        this.createTitleBasedOnStartDate();
-
-        // convert time zone for displaying on calendar
-        const newUtcTimeEvent = {
-            title: this.selectedEvent.title,
-            start: this.utcTime.start.toISOString(),
-            end: this.utcTime.end.toISOString(),
-            hours: this.selectedEvent.hours
-        };
+    /**
+     * @description Dragging and resizing snap to the rounding increment of the hours, if they are rounded:
+     *              https://fullcalendar.io/docs/v3/snapDuration
+     */
+    getSnapDuration() {
+        const { roundingMode, roundingIncrement } = this.workingTimeRules;
+        return roundingMode === ROUNDING_MODE.none ? null : { minutes: roundingIncrement };
+    }
 
-        const newLocalTimeEvent = {
-            title: this.selectedEvent.title,
-            start: this.selectedEvent.start,
-            end: this.selectedEvent.end,
-            hours: this.selectedEvent.hours
+    setSnapDuration() {
+        const ele = this.template.querySelector('div.fullcalendarjs');
+        if (this.fullCalendarJsIsLoaded && ele) {
+            $(ele).fullCalendar('option', 'snapDuration', this.getSnapDuration());
         }
+    }
 
-        createEvent({ 'event': JSON.stringify(newLocalTimeEvent) })
-            .then(result => {
-                newLocalTimeEvent.id = result;
-
-                // add the new event to calendar on UI: https://fullcalendar.io/docs/v3/renderEvent
-                const ele = this.template.querySelector("div.fullcalendarjs");
-                $(ele).fullCalendar('renderEvent', newUtcTimeEvent, true);
+    /**
+     * @description Shade the hours outside the working days and hours of the schedule:
+     *              https://fullcalendar.io/docs/v3/businessHours
+     */
+    getBusinessHours() {
+        const { workingDays, startTime, endTime } = this.workSchedule;
+        // FullCalendar counts the days of the week from Sunday = 0, the schedule from Monday = 1 to Sunday = 7
+        return { dow: workingDays.map(weekday => weekday % 7), start: startTime, end: endTime };
+    }
 
-                this.events.push(newLocalTimeEvent);
-                this.selectedId = null;
-                this.selectedEvent = DEFAULT_FORM;
+    setBusinessHours() {
+        const ele = this.template.querySelector('div.fullcalendarjs');
+        if (this.fullCalendarJsIsLoaded && ele) {
+            $(ele).fullCalendar('option', 'businessHours', this.getBusinessHours());
+        }
+    }
 
-                this.showToast(TOAST_MESSAGE.create, TOAST_VARIANT.success);
+    clockInHandler() {
+        this.openSpinner = true;
+        startTimer()
+            .then(record => {
+                this.setRunningTimer(this.toCalendarEvent(record));
+                this.showToast(TOAST_MESSAGE.clockIn, TOAST_VARIANT.success);
                 this.openSpinner = false;
-                this.openModal = false;
-                this.refresh();
             })
             .catch(error => {
-                console.error('Error occured on saveEvent', error);
-                this.showToast(error.message.body, TOAST_VARIANT.error);
+                console.error('Error occured on clockInHandler', error);
+                this.showError(error);
                 this.openSpinner = false;
-                this.openModal = false;
-            })
+            });
     }
 
-    removeEvent() {
-        this.openSpinner = true;
-        deleteEvent({ 'eventId': this.selectedId })
-            .then(() => {
-                const ele = this.template.querySelector("div.fullcalendarjs");
+    clockOutHandler() {
+        this.stopRunningTimer(null);
+    }
 
-                // remove the event with id: https://fullcalendar.io/docs/v3/removeEvents
-                $(ele).fullCalendar('removeEvents', [this.selectedId]);
+    timerEndChangeHandler(event) {
+        this.timerEnd = event.detail.value;
+    }
 
-                this.selectedId = null;
-                this.selectedEvent = DEFAULT_FORM;
+    saveTimerEndHandler() {
+        const input = this.template.querySelector('lightning-input[name="timerEnd"]');
+        if (input && input.reportValidity()) {
+            this.stopRunningTimer(this.timerEnd);
+        }
+    }
 
-                this.showToast(TOAST_MESSAGE.delete, TOAST_VARIANT.success);
+    /**
+     * @description Stop the timer at end, or now if null, which also calculates the hours of its entry.
+     *              If Apex refuses the end, e.g. as the timer ran for more than a day, the sidebar asks
+     *              when the user stopped working, starting from the longest entry allowed, or to discard the timer.
+     */
+    stopRunningTimer(end) {
+        const timer = this.runningTimer;
+        this.openSpinner = true;
+        stopTimer({ 'endDateTime': end })
+            .then(record => {
+                this.setRunningTimer(null);
+                this.showToast(TOAST_MESSAGE.clockOut, TOAST_VARIANT.success);
                 this.openSpinner = false;
-                this.openModal = false;
-                this.refresh();
+                this.invalidateEvents({ start: timer.start, end: record.EndDateTime__c });
             })
             .catch(error => {
-                console.error('Error occured on removeEvent', error);
-                this.showToast(error.message.body, TOAST_VARIANT.error);
+                console.error('Error occured on stopRunningTimer', error);
                 this.openSpinner = false;
-                this.openModal = false;
+                this.timerError = formatLabel(LABELS.timerNotStopped, this.getMutationError(error));
+                if (!this.timerEnd) {
+                    const longestEnd = new Date(timer.start).getTime() + MAX_ENTRY_HOURS * MILLISECONDS_PER_HOUR;
+                    this.timerEnd = new Date(Math.min(longestEnd, Date.now())).toISOString();
+                }
             });
     }
 
-    editEvent() {
+    discardTimerHandler() {
+        const timerRange = { start: this.runningTimer.start, end: new Date().toISOString() };
         this.openSpinner = true;
-        this.convertUtcTime();
-        this.calculateWorkingHours();
-
-        updateEvent({ 'eventId': this.selectedId, 'event': JSON.stringify(this.selectedEvent) })
+        discardTimer()
             .then(() => {
-                const ele = this.template.querySelector("div.fullcalendarjs");
-
-                // find the event object to update: https://fullcalendar.io/docs/v3/clientEvents
-                const calendarEvent = $(ele).fullCalendar('clientEvents', this.selectedEvent.id)[0];
-                calendarEvent.id = this.selectedEvent.id;
-                calendarEvent.start = this.utcTime.start.toISOString();
-                calendarEvent.end = this.utcTime.end.toISOString();
-                calendarEvent.hours = this.selectedEvent.hours;
-
-                // edit the event object with id: https://fullcalendar.io/docs/v3/updateEvent
-                $(ele).fullCalendar('updateEvent', calendarEvent);
-
-                this.selectedId = null;
-                this.selectedEvent = DEFAULT_FORM;
-                
-                this.showToast(TOAST_MESSAGE.update, TOAST_VARIANT.success);
+                this.setRunningTimer(null);
+                this.showToast(TOAST_MESSAGE.timerDiscarded, TOAST_VARIANT.success);
                 this.openSpinner = false;
-                this.openModal = false;
-                this.refresh();
+                this.invalidateEvents(timerRange);
             })
             .catch(error => {
-                console.error('Error occured on editEvent', error);
-                this.showToast(error.message.body, TOAST_VARIANT.error);
+                console.error('Error occured on discardTimerHandler', error);
+                this.showError(error);
                 this.openSpinner = false;
-                this.openModal = false;
-            })
+            });
     }
 
-    addEventHandler() {
-        this.selectedEvent = DEFAULT_FORM;
-        this.openModal = true;
+    setRunningTimer(timer) {
+        clearInterval(this.timerInterval);
+        this.runningTimer = timer;
+        this.timerError = null;
+        this.timerEnd = null;
+        this.timerNow = Date.now();
+        if (timer) {
+            this.timerInterval = setInterval(() => this.tickTimer(), MILLISECONDS_PER_SECOND);
+        }
+        this.renderRunningTimer();
     }
 
-    removeEventHandler() {
-        this.selectedId = this.selectedEvent.id;
-        this.confirmRemoval();
+    tickTimer() {
+        const previousMinute = Math.floor(this.getTimerElapsed() / MILLISECONDS_PER_MINUTE);
+        this.timerNow = Date.now();
+        if (Math.floor(this.getTimerElapsed() / MILLISECONDS_PER_MINUTE) !== previousMinute) {
+            this.renderRunningTimer();
+        }
     }
 
-    cancelEventHandler() {
-        this.openModal = false;
-        this.selectedId = null;
-        this.selectedEvent = DEFAULT_FORM;
+    getTimerElapsed() {
+        return Math.max(this.timerNow - new Date(this.runningTimer.start), 0);
     }
 
-    saveEventHandler(event) {
-        event.preventDefault();
-        if (this.selectedId) {
-            this.editEvent();
-        } else {
-            this.saveEvent();
+    /**
+     * @description The running timer as a calendar event ending now, with the hours worked so far.
+     */
+    getRunningTimerEvent() {
+        const end = new Date(this.timerNow).toISOString();
+        return {
+            ...this.runningTimer,
+            end,
+            hours: calculateHours(this.runningTimer.start, end, 0, this.workingTimeRules),
+            running: true
+        };
+    }
+
+    /**
+     * @description Draw the running timer on the calendar, apart from the fetched events so refetching keeps it:
+     *              https://fullcalendar.io/docs/v3/renderEvent
+     */
+    renderRunningTimer() {
+        const ele = this.template.querySelector('div.fullcalendarjs');
+        if (!this.fullCalendarJsIsLoaded || !ele) {
+            return;
+        }
+        $(ele).fullCalendar('removeEvents', TIMER_EVENT_ID);
+        if (this.runningTimer && this.showTimer) {
+            const timerEvent = this.toFullCalendarEvent(this.getRunningTimerEvent());
+            $(ele).fullCalendar('renderEvent', { ...timerEvent, id: TIMER_EVENT_ID, editable: false }, true);
         }
     }
 
-    changeHandler(event) {
-        const { name, value } = event.target;
-        this.selectedEvent = { ...this.selectedEvent, [name]: value };
-        this.calculateWorkingHours();
+    get showTimer() {
+        return !this.isReadOnly;
     }
 
-    editEventClickHandler(event) {
-        this.selectedId = event.id;
-        this.findEventRecord();
-        this.openModal = true;
-        this.handleTimeOffset(this.eventRecord);
+    /**
+     * @returns true if entries cannot be changed here: the calendar is set up read-only, or shows the team's entries
+     */
+    get isReadOnly() {
+        return this.readOnly || this.isTeamMode;
     }
 
-    dropEventHandler(event) {
-        this.selectedId = event.id;
-        this.findEventRecord();
-        this.openModal = true;
-        this.handleTimeOffset(event);
+    get readOnlyMessage() {
+        return this.readOnly ? TOAST_MESSAGE.readOnlyCalendar : TOAST_MESSAGE.readOnly;
     }
 
-    resizeEventHandler(event) {
-        this.selectedId = event.id;
-        this.findEventRecord();
-        this.openModal = true;
-        this.handleTimeOffset(event);
+    get isRecordMode() {
+        return !!this.recordId;
     }
 
-    findEventRecord() {
-        this.eventRecord = this.events.find(item => item.id === this.selectedId);
-        this.selectedEvent.id = this.eventRecord.id;
+    /**
+     * @description Weekly hours of all users on the host record, for the sidebar on a record page.
+     */
+    get recordWeeks() {
+        return Object.keys(this.recordHours).sort().map(weekStart => ({
+            weekStart,
+            weekLabel: formatLabel(LABELS.weekNumber, getWeekNumber(weekStart, WEEK_RULES)),
+            hours: this.recordHours[weekStart]
+        }));
     }
 
-    handleTimeOffset(event) {
-        this.convertLocalTime(event);
-        this.selectedEvent.start = this.localTime.start.toISOString();
-        this.selectedEvent.end = this.localTime.end.toISOString();
-        this.createTitleBasedOnStartDate();
-        this.calculateWorkingHours();
+    get hasRecordWeeks() {
+        return this.recordWeeks.length > 0;
     }
 
-    async confirmRemoval() {
-        const { message, variant, label } = CONFIRM_REMOVAL;
-        const confirmRemovalResult = await LightningConfirm.open({
-            message: message,
-            variant: variant,
-            label: label
-        });
-        if (confirmRemovalResult) {
-            this.removeEvent();
-        }
+    get showSidebar() {
+        return !this.hideSidebar;
     }
 
-    openForm(startDate, endDate) {
-        const event = {
-            start: startDate,
-            end: endDate
-        };
-        this.convertLocalTime(event);
-        this.selectedEvent.start = this.localTime.start.toISOString();
-        this.selectedEvent.end = this.localTime.end.toISOString();
-        this.calculateWorkingHours();
-        this.openModal = true;
+    get sidebarStyle() {
+        return `height:${Number(this.height)}px`;
     }
 
-    showToast(message, variant) {
-        const toast = this.template.querySelector('c-notification');
-        if (toast) {
-            toast.showToast(message, variant);
-        };
+    get calendarColumnClass() {
+        return this.hideSidebar ? 'slds-col slds-size_12-of-12' : 'slds-col slds-size_9-of-12';
     }
 
-    refresh() {
-        return refreshApex(this.eventOriginalData);
+    // reports are on the user's or the team's entries, not on those of the host record
+    get showTabs() {
+        return !this.isRecordMode;
     }
 
-    get ModalName() {
-        return this.selectedId ? "Update Hours" : "Add Hours";
+    get isCalendarTabActive() {
+        return this.activeTab === TAB.calendar;
     }
 
-    calculateWorkingHours() {
-        let startDate = new Date(this.selectedEvent.start);
-        let endDate = new Date(this.selectedEvent.end);
-        let hours = (endDate - startDate) / MILLISECONDS_PER_HOUR;
-        this.selectedEvent.hours = hours.toFixed(2); // Update the hours with two decimal places
+    get isReportsTabActive() {
+        return this.activeTab === TAB.reports;
     }
 
-    createTitleBasedOnStartDate() {
-        this.selectedEvent.title = new Date(this.selectedEvent.start).toISOString().split('T')[0];
-        this.selectedEvent.weekday = this.getWeekdayName(new Date(this.selectedEvent.title));
+    get calendarTabClass() {
+        return this.isCalendarTabActive ? 'slds-tabs_default__item slds-is-active' : 'slds-tabs_default__item';
     }
 
-    getWeekdayName(date) {
-        return WEEKDAYS[date.getDay()];
+    get reportsTabClass() {
+        return this.isReportsTabActive ? 'slds-tabs_default__item slds-is-active' : 'slds-tabs_default__item';
     }
 
-    getWeekNumber(date) {
-        let pastDaysOfYear = ((date - START_OF_THE_YEAR) / MILLISECONDS_PER_YEAR) + 1;
-        return Math.ceil(pastDaysOfYear / WEEKDAYS.length);
+    // the calendar stays in the DOM while hidden, so FullCalendar keeps its view and loaded events
+    get calendarPanelClass() {
+        return this.isCalendarTabActive ? 'slds-show' : 'slds-hide';
     }
 
-    convertUtcTime() {
-        this.utcTime.start = new Date(new Date(this.selectedEvent.start).getTime() + TIMEZONE_OFFSET);
-        this.utcTime.end = new Date(new Date(this.selectedEvent.end).getTime() + TIMEZONE_OFFSET);
+    get reportsPanelClass() {
+        return this.isReportsTabActive ? 'slds-show slds-p-around_medium' : 'slds-hide';
     }
 
-    convertLocalTime(event) {
-        this.localTime.start = new Date(new Date(event.start) - TIMEZONE_OFFSET);
-        this.localTime.end = new Date(new Date(event.end) - TIMEZONE_OFFSET);
+    get calendarTabSelected() {
+        return String(this.isCalendarTabActive);
     }
 
-    get groupedEventsBasedOnWeekNumber() {
+    get reportsTabSelected() {
+        return String(this.isReportsTabActive);
+    }
 
-        let groupedEvents = {};
+    get timerElapsed() {
+        const seconds = Math.floor(this.getTimerElapsed() / MILLISECONDS_PER_SECOND);
+        const pad = value => String(value).padStart(2, '0');
+        return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
 
-        this.events.forEach(event => {
-            const { title, hours } = event;
-            const date = new Date(title);
-            const weekNumber = this.getWeekNumber(date);
-            const weekday = this.getWeekdayName(date);
+    /**
+     * @description Fetch the events overlapping the visible range, from the cache if that range was already fetched.
+     */
+    loadEvents(start, end, callback) {
+        const rangeStart = this.toUtcIso(start);
+        const rangeEnd = this.toUtcIso(end);
+        const key = `${rangeStart}|${rangeEnd}`;
+
+        const cachedRange = this.eventCache.get(key);
+        if (cachedRange) {
+            this.recordHours = cachedRange.recordHours;
+            this.showEvents(cachedRange, callback);
+            return;
+        }
 
-            // initialize week number group if not exists
-            if (!groupedEvents[weekNumber]) {
-                groupedEvents[weekNumber] = { 
-                    weekNumber, 
-                    weeks: [], 
-                    weeklyTotalHours: 0 
+        console.log('Start fetching...');
+        const isTeamMode = this.isTeamMode;
+        Promise.all([
+            isTeamMode
+                ? fetchTeamEvents({ 'rangeStart': rangeStart, 'rangeEnd': rangeEnd })
+                : fetchEvents({ 'rangeStart': rangeStart, 'rangeEnd': rangeEnd, 'recordId': this.recordId }),
+            // timesheets are those of the current user, the team's are reviewed in c-timesheet-approval
+            isTeamMode ? [] : fetchTimesheets({
+                'rangeStart': toLocalDate(rangeStart, this.timeZone),
+                'rangeEnd': toLocalDate(rangeEnd, this.timeZone)
+            }),
+            this.isRecordMode ? fetchRecordHours({ 'recordId': this.recordId, 'rangeStart': rangeStart, 'rangeEnd': rangeEnd }) : {}
+        ])
+            .then(([data, timesheets, recordHours]) => {
+                const events = data.map(record => this.toCalendarEvent(record));
+                this.setTimesheets(timesheets);
+
+                const range = {
+                    start: Date.parse(rangeStart),
+                    end: Date.parse(rangeEnd),
+                    events,
+                    recordHours
                 };
-            }
+                this.eventCache.set(key, range);
+                this.recordHours = recordHours;
+                this.showEvents(range, callback);
+                console.log('Finish rendering events');
+            })
+            .catch(error => {
+                console.error('Error occured in fetching', error);
+                this.events = [];
+                callback([]);
+                this.showError(error);
+            });
+    }
 
-            // find or create week group within week
-            let weekGroup = groupedEvents[weekNumber].weeks.find(group => group.title === title);
-            if (!weekGroup) {
-                weekGroup = { 
-                    title, 
-                    weekday,
-                    events: [], 
-                    dailyTotalHours: 0, 
-                };
-                groupedEvents[weekNumber].weeks.push(weekGroup);
-            }
+    /**
+     * @description Show the events of a fetched range with the queued changes applied, see applyMutations of c/mutationQueue.
+     *              Entries waiting to be deleted are left out, those whose deletion was rejected are shown to fix it.
+     */
+    showEvents(range, callback) {
+        this.events = this.isTeamMode
+            ? range.events
+            : applyMutations(range.events, this.mutations).filter(event => !event.mutationId
+                || (!(event.deleted && event.pending) && Date.parse(event.start) < range.end && Date.parse(event.end) > range.start));
+        callback(this.events.map(event => this.toFullCalendarEvent(event)));
+    }
 
-            // add event to week group
-            weekGroup.events.push(event);
-            weekGroup.dailyTotalHours += hours;
-            groupedEvents[weekNumber].weeklyTotalHours += hours;
+    /**
+     * @description Format a MyCalendar__c record as calendar event, start and end staying in UTC.
+     */
+    toCalendarEvent(record) {
+        return {
+            id: record.Id,
+            title: record.Name,
+            start: record.StartDateTime__c,
+            end: record.EndDateTime__c,
+            hours: record.Hours__c,
+            recurrenceRule: record.RecurrenceRule__c,
+            seriesId: record.RecurrenceSeries__c,
+            projectId: record.Project__c,
+            projectName: record.Project__r
+                ? [record.Project__r.Code__c, record.Project__r.Name].filter(Boolean).join(' - ')
+                : null,
+            projectColor: record.Project__r ? record.Project__r.Color__c : null,
+            note: record.Note__c,
+            breakMinutes: record.BreakMinutes__c || 0,
+            ownerName: record.Owner ? record.Owner.Name : null
+        };
+    }
+
+    /**
+     * @description Fetch the holidays and days of leave of the visible range, shown as background events.
+     *              The team calendar only shows the holidays, the days of leave being those of the manager.
+     */
+    loadNonWorkingDays(start, end, callback) {
+        fetchNonWorkingDays({ 'rangeStart': start.format('YYYY-MM-DD'), 'rangeEnd': end.format('YYYY-MM-DD') })
+            .then(records => {
+                const nonWorkingDays = { ...this.nonWorkingDays };
+                const days = records
+                    .filter(record => !this.isTeamMode || record.Type__c === NON_WORKING_DAY_TYPE.holiday)
+                    .map(record => ({ date: record.Date__c, name: record.Name, type: record.Type__c }));
+                days.forEach(day => {
+                    nonWorkingDays[day.date] = day;
+                });
+                this.nonWorkingDays = nonWorkingDays;
+                callback(days.map(day => ({
+                    id: `nonWorkingDay-${day.date}`,
+                    title: `${NON_WORKING_DAY_LABEL[day.type]}: ${day.name}`,
+                    // wall-clock time, the whole day of the user's time zone
+                    start: `${day.date}T00:00:00`,
+                    end: `${addDays(day.date, 1)}T00:00:00`,
+                    rendering: 'background',
+                    color: NON_WORKING_DAY_COLOR[day.type],
+                    editable: false,
+                    nonWorkingDay: true
+                })));
+            })
+            .catch(error => {
+                console.error('Error occured on fetchNonWorkingDays', error);
+                callback([]);
+            });
+    }
+
+    /**
+     * @description Copy of a calendar event for FullCalendar, with start and end in wall-clock time of the user.
+     */
+    toFullCalendarEvent(event) {
+        const locked = this.isLockedWeek(event.start, event.end);
+        return {
+            ...event,
+            start: toWallClock(event.start, this.timeZone),
+            end: toWallClock(event.end, this.timeZone),
+            color: event.projectColor,
+            locked,
+            editable: !locked && !this.isReadOnly && !event.mutationId
+        };
+    }
+
+    setTimesheets(records) {
+        const timesheets = { ...this.timesheets };
+        records.forEach(record => {
+            timesheets[record.WeekStart__c] = {
+                id: record.Id,
+                status: record.Status__c,
+                comment: record.Comment__c
+            };
         });
+        this.timesheets = timesheets;
+    }
+
+    getTimesheetStatus(weekStart) {
+        const timesheet = this.timesheets[weekStart];
+        return timesheet ? timesheet.status : TIMESHEET_STATUS.draft;
+    }
 
-        // sort each week's title groups by title
-        for (let weekNumber in groupedEvents) {
-            groupedEvents[weekNumber].weeks.sort((a, b) => a.title.localeCompare(b.title));
+    /**
+     * @returns true if a week from the one of start to the one of end is submitted or approved,
+     *          an end at midnight not covering the day starting then; without end, only the week of start
+     */
+    isLockedWeek(start, end) {
+        const lastDay = end && new Date(end) > new Date(start)
+            ? toLocalDate(new Date(new Date(end).getTime() - 1), this.timeZone)
+            : toLocalDate(start, this.timeZone);
+        for (let weekStart = getWeekStart(toLocalDate(start, this.timeZone)); weekStart <= lastDay; weekStart = addDays(weekStart, 7)) {
+            if (LOCKED_TIMESHEET_STATUSES.includes(this.getTimesheetStatus(weekStart))) {
+                return true;
+            }
         }
+        return false;
+    }
 
-        const groupedEventsArray = Object.values(groupedEvents).sort((a, b) => a.weekNumber - b.weekNumber);
+    tabClickHandler(event) {
+        event.preventDefault();
+        const { tab } = event.currentTarget.dataset;
+        if (tab === this.activeTab) {
+            return;
+        }
+        this.activeTab = tab;
+        if (tab === TAB.calendar) {
+            this.calendarNeedsRender = true;
+        } else if (this.hasOpenedReports) {
+            // entries may have changed on the calendar since the report was fetched
+            this.template.querySelector('c-time-report').refresh();
+        } else {
+            this.hasOpenedReports = true;
+        }
+    }
+
+    teamModeChangeHandler(event) {
+        this.isTeamMode = event.target.checked;
+        this.nonWorkingDays = {};
+        this.renderRunningTimer();
+        this.eventCache.clear();
+        this.refetchEvents();
+        this.loadChangeKeys();
+    }
+
+    submitWeekHandler(event) {
+        const { week } = event.target.dataset;
+        this.openSpinner = true;
+        submitTimesheet({ 'weekStart': week })
+            .then(record => {
+                this.setTimesheets([record]);
+                this.showToast(TOAST_MESSAGE.submit, TOAST_VARIANT.success);
+                this.openSpinner = false;
+                // re-render the entries of the week as locked, from the cache
+                this.refetchEvents();
+            })
+            .catch(error => {
+                console.error('Error occured on submitWeekHandler', error);
+                this.showError(error);
+                this.openSpinner = false;
+            });
+    }
+
+    /**
+     * @description Convert a FullCalendar moment, in wall-clock time of the user, to an ISO string in UTC.
+     */
+    toUtcIso(wallClockMoment) {
+        return fromWallClock(wallClockMoment.format(WALL_CLOCK_FORMAT), this.timeZone).toISOString();
+    }
+
+    /**
+     * @description Drop the cached ranges overlapping the given events, then refetch the visible range.
+     *              Pass both the old and the new position of an updated event. The other tabs drop the same ranges.
+     */
+    invalidateEvents(...events) {
+        this.dropCachedRanges(events);
+        this.refetchEvents();
+        this.broadcast(SYNC_MESSAGE.entriesChanged, { ranges: events.map(({ start, end }) => ({ start, end })) });
+    }
+
+    /**
+     * @description Drop every cached range, for changes to a recurring series that may span any range.
+     */
+    invalidateAllEvents() {
+        this.eventCache.clear();
+        this.refetchEvents();
+        this.broadcast(SYNC_MESSAGE.entriesChanged, { ranges: null });
+    }
+
+    dropCachedRanges(events) {
+        events.forEach(event => {
+            const start = new Date(event.start).getTime();
+            const end = new Date(event.end).getTime();
+            this.eventCache.forEach((range, key) => {
+                if (range.start < end && range.end > start) {
+                    this.eventCache.delete(key);
+                }
+            });
+        });
+    }
+
+    refetchEvents() {
+        // changes can be synced or broadcast before the scripts are loaded, the first fetch then shows them
+        if (!this.fullCalendarJsIsLoaded) {
+            return;
+        }
+        // https://fullcalendar.io/docs/v3/refetchEvents
+        const ele = this.template.querySelector("div.fullcalendarjs");
+        $(ele).fullCalendar('refetchEvents');
+    }
+
+    /**
+     * @description Listen to the other tabs of this browser: the entries they save drop the cached ranges here,
+     *              and the changes they queue are shown here too.
+     */
+    openSyncChannel() {
+        if (typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+        this.syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+        this.syncChannel.onmessage = event => this.syncMessageHandler(event.data);
+    }
+
+    broadcast(type, data) {
+        if (this.syncChannel) {
+            this.syncChannel.postMessage({ ...data, type, userId: USER_ID });
+        }
+    }
+
+    syncMessageHandler(message) {
+        if (message.userId !== USER_ID) {
+            return;
+        }
+        if (message.type === SYNC_MESSAGE.queueChanged) {
+            this.mutations = readQueue(localStorage, USER_ID);
+            this.refetchEvents();
+            // the tab that queued the change may be closed before it is sent
+            this.syncMutations();
+        } else if (message.type === SYNC_MESSAGE.entriesChanged) {
+            if (message.ranges) {
+                this.dropCachedRanges(message.ranges);
+            } else {
+                this.eventCache.clear();
+            }
+            this.refetchEvents();
+        }
+    }
+
+    /**
+     * @description Refetch the entries changed elsewhere, in another browser or by another component,
+     *              from the TimeEntryChange__e events CalendarController publishes for each change.
+     *              empApi isn't available in Experience Cloud sites, where the BroadcastChannel still syncs the tabs of a browser.
+     */
+    subscribeToChanges() {
+        isEmpEnabled()
+            .then(enabled => {
+                if (!enabled) {
+                    return null;
+                }
+                this.loadChangeKeys();
+                onError(error => {
+                    console.error('Error occured on empApi', error);
+                });
+                return subscribe(CHANGE_EVENT_CHANNEL, -1, message => this.changeEventHandler(message));
+            })
+            .then(subscription => {
+                this.changeSubscription = subscription;
+            })
+            .catch(error => {
+                console.error('Error occured on subscribeToChanges', error);
+            });
+    }
+
+    /**
+     * @description Fetch the change keys of the users whose entries the calendar shows, the user or their team.
+     *              Events only carry these keys, so the calendar can't tell whose or which entries changed elsewhere.
+     */
+    loadChangeKeys() {
+        const isTeamMode = this.isTeamMode;
+        getChangeKeys({ 'teamMode': isTeamMode })
+            .then(changeKeys => {
+                if (isTeamMode === this.isTeamMode) {
+                    this.changeKeys = new Set(changeKeys);
+                }
+            })
+            .catch(error => {
+                console.error('Error occured on loadChangeKeys', error);
+            });
+    }
+
+    changeEventHandler(message) {
+        const { ChangeKey__c: changeKey } = message.data.payload;
+        // the event doesn't tell which entries changed, so every range is fetched again
+        if (this.changeKeys.has(changeKey)) {
+            this.eventCache.clear();
+            this.refetchEvents();
+        }
+    }
+
+    /**
+     * @description Queue a change, then send it unless older changes are waiting, which it has to follow.
+     *              Resolves with the result of Apex, or with QUEUED when the change waits for the connection.
+     *              Rejects with an error of the server, such as a validation error, the change being dropped
+     *              so the user can fix it in the modal.
+     * @param preview the entry as it will be, shown on the calendar while the change waits
+     */
+    submitMutation(type, params, preview) {
+        const mutations = readQueue(localStorage, USER_ID);
+        const mutation = createMutation(type, params, preview, Date.now());
+        this.saveMutations([...mutations, mutation]);
+        if (hasPendingMutations(mutations)) {
+            this.syncMutations();
+            return Promise.resolve(QUEUED);
+        }
+        return new Promise((resolve, reject) => {
+            this.mutationCallbacks.set(mutation.id, { resolve, reject });
+            this.syncMutations();
+        });
+    }
+
+    /**
+     * @description Send the queued changes one at a time, oldest first, from the tab holding the lease.
+     *              A change that can't reach the server is retried with backoff, or as soon as the browser is back online.
+     *              One the server refuses is set aside for the user to fix, unless the modal that saved it is still waiting.
+     */
+    syncMutations() {
+        clearTimeout(this.syncTimeout);
+        if (this.isSyncing) {
+            return;
+        }
+
+        const mutations = readQueue(localStorage, USER_ID);
+        this.mutations = mutations;
+        const mutation = getNextMutation(mutations);
+        if (!mutation) {
+            releaseLease(localStorage, USER_ID, this.tabId);
+            if (this.hasSyncedMutations) {
+                this.hasSyncedMutations = false;
+                this.showToast(TOAST_MESSAGE.changesSynced, TOAST_VARIANT.success);
+                this.invalidateAllEvents();
+            }
+            return;
+        }
+
+        const now = Date.now();
+        if (!acquireLease(localStorage, USER_ID, this.tabId, now)) {
+            // another tab sends the queue, this one takes over if that tab is closed first
+            this.resolveQueuedMutations();
+            this.syncTimeout = setTimeout(() => this.syncMutations(), LEASE_DURATION);
+            return;
+        }
+        if (mutation.nextAttemptAt > now) {
+            this.resolveQueuedMutations();
+            this.syncTimeout = setTimeout(() => this.syncMutations(), mutation.nextAttemptAt - now);
+            return;
+        }
+
+        this.isSyncing = true;
+        const callbacks = this.mutationCallbacks.get(mutation.id);
+        this.mutationCallbacks.delete(mutation.id);
+        this.sendMutation(mutation)
+            .then(result => {
+                this.saveMutations(removeMutation(readQueue(localStorage, USER_ID), mutation.id));
+                if (callbacks) {
+                    callbacks.resolve(result);
+                } else {
+                    this.hasSyncedMutations = true;
+                }
+            })
+            .catch(error => {
+                const queue = readQueue(localStorage, USER_ID);
+                if (isConnectivityError(error, navigator.onLine)) {
+                    this.saveMutations(markFailed(queue, mutation.id, Date.now()));
+                    if (callbacks) {
+                        callbacks.resolve(QUEUED);
+                    }
+                } else if (callbacks) {
+                    this.saveMutations(removeMutation(queue, mutation.id));
+                    callbacks.reject(error);
+                } else {
+                    console.error('Error occured on syncMutations', error);
+                    this.saveMutations(markRejected(queue, mutation.id, this.getMutationError(error)));
+                    this.showToast(TOAST_MESSAGE.changeRejected, TOAST_VARIANT.error);
+                    this.refetchEvents();
+                }
+            })
+            .finally(() => {
+                this.isSyncing = false;
+                this.syncMutations();
+            });
+    }
+
+    sendMutation(mutation) {
+        const { eventId, event, scope } = mutation.params;
+        if (mutation.type === MUTATION_TYPE.create) {
+            // a create sent again after its answer was lost returns the entry created the first time
+            return createEvent({ 'event': JSON.stringify({ ...JSON.parse(event), clientKey: mutation.id }) });
+        }
+        if (mutation.type === MUTATION_TYPE.update) {
+            return updateEvent({ 'eventId': eventId, 'event': event, 'scope': scope });
+        }
+        return deleteEvent({ 'eventId': eventId, 'scope': scope });
+    }
+
+    /**
+     * @description Let the submitMutation calls still waiting know their change is queued, as it isn't sent now.
+     */
+    resolveQueuedMutations() {
+        this.mutationCallbacks.forEach(callbacks => callbacks.resolve(QUEUED));
+        this.mutationCallbacks.clear();
+    }
+
+    saveMutations(mutations) {
+        writeQueue(localStorage, USER_ID, mutations);
+        this.mutations = mutations;
+        this.broadcast(SYNC_MESSAGE.queueChanged);
+    }
+
+    getMutationError(error) {
+        const validationError = this.parseValidationError(error);
+        if (validationError) {
+            return VALIDATION_MESSAGE[validationError.code] || validationError.message;
+        }
+        return error && error.body && error.body.message ? error.body.message : LABELS.changeRejected;
+    }
+
+    /**
+     * @description Send the pending changes right away when the browser is back online, instead of waiting for the backoff.
+     */
+    onlineHandler() {
+        this.saveMutations(resetRetries(readQueue(localStorage, USER_ID), Date.now()));
+        this.syncMutations();
+    }
+
+    retrySyncHandler() {
+        this.onlineHandler();
+    }
+
+    /**
+     * @description Open a change the server rejected in the modal, with the values that were rejected, to fix and save it again.
+     *              A rejected deletion opens the entry as it is. The change is dropped from the queue once its fix is saved.
+     */
+    fixMutation(mutationId) {
+        const mutation = this.mutations.find(item => item.id === mutationId);
+        if (mutation.type === MUTATION_TYPE.create) {
+            const { start, end, projectId, projectName, projectColor, note, breakMinutes } = mutation.preview;
+            this.openNewEntryForm(start, end, { project: projectId, projectName, projectColor, note, breakMinutes });
+        } else {
+            this.openEditForm(mutation.params.eventId);
+        }
+        this.fixingMutationId = this.openModal ? mutation.id : null;
+    }
+
+    /**
+     * @description Drop the rejected change whose fix was just saved.
+     */
+    dropFixedMutation() {
+        if (this.fixingMutationId) {
+            this.saveMutations(removeMutation(readQueue(localStorage, USER_ID), this.fixingMutationId));
+            this.fixingMutationId = null;
+        }
+    }
+
+    showMutationHandler(event) {
+        const mutation = this.mutations.find(item => item.id === event.target.dataset.id);
+        const ele = this.template.querySelector('div.fullcalendarjs');
+        if (mutation && mutation.preview && this.fullCalendarJsIsLoaded) {
+            // https://fullcalendar.io/docs/v3/gotoDate
+            $(ele).fullCalendar('gotoDate', toLocalDate(mutation.preview.start, this.timeZone));
+        }
+    }
+
+    discardMutationHandler(event) {
+        this.saveMutations(removeMutation(readQueue(localStorage, USER_ID), event.target.dataset.id));
+        this.refetchEvents();
+    }
+
+    /**
+     * @returns the entry shown on the calendar while a change to it waits, from the fields of the modal
+     */
+    toPreview(event) {
+        return {
+            title: event.title,
+            start: event.start,
+            end: event.end,
+            hours: event.hours,
+            projectId: event.project,
+            projectName: event.projectName,
+            projectColor: event.projectColor,
+            note: event.note,
+            breakMinutes: Number(event.breakMinutes) || 0
+        };
+    }
+
+    showQueuedToast() {
+        this.showToast(TOAST_MESSAGE.savedOffline, TOAST_VARIANT.warning);
+        this.refetchEvents();
+    }
+
+    saveEvent() {
+        this.openSpinner = true;
+        this.template.querySelectorAll('lightning-input').forEach(ele => {
+            if (ele.name === 'start') {
+                this.selectedEvent.start = new Date(ele.value).toISOString();
+            }
+            if (ele.name === 'end') {
+                this.selectedEvent.end = new Date(ele.value).toISOString();
+            }
+        });
+
+        this.calculateWorkingHours();
+        this.createTitleBasedOnStartDate();
+
+        const newEvent = {
+            title: this.selectedEvent.title,
+            start: this.selectedEvent.start,
+            end: this.selectedEvent.end,
+            hours: this.selectedEvent.hours,
+            project: this.selectedEvent.project,
+            note: this.selectedEvent.note,
+            breakMinutes: Number(this.selectedEvent.breakMinutes) || 0,
+            recurrence: this.recurrence.repeat ? this.buildRecurrenceRule() : null,
+            recordId: this.recordId
+        }
+
+        const preview = this.toPreview(this.selectedEvent);
+        this.submitMutation(MUTATION_TYPE.create, { 'event': JSON.stringify(newEvent) }, preview)
+            .then(eventId => {
+                this.selectedId = null;
+                this.selectedEvent = { ...DEFAULT_FORM };
+                this.dropFixedMutation();
+                this.openSpinner = false;
+                this.openModal = false;
+                if (eventId === QUEUED) {
+                    this.showQueuedToast();
+                    return;
+                }
+
+                const command = this.recordCreate(newEvent, eventId);
+                this.showToast(TOAST_MESSAGE.create, TOAST_VARIANT.success, { actions: [this.undoAction(command)] });
+                if (newEvent.recurrence) {
+                    this.invalidateAllEvents();
+                } else {
+                    this.invalidateEvents(newEvent);
+                }
+            })
+            .catch(error => {
+                console.error('Error occured on saveEvent', error);
+                this.openSpinner = false;
+                if (this.reportServerValidationError(error)) {
+                    return;
+                }
+                this.showError(error);
+                this.openModal = false;
+            })
+    }
+
+    removeEvent() {
+        this.openSpinner = true;
+        const removedEvent = this.eventRecord;
+        const isSeriesChange = this.isRecurringEvent && this.editScope !== RECURRENCE_SCOPE.this;
+        const removedId = this.selectedId;
+        this.submitMutation(MUTATION_TYPE.delete, { 'eventId': removedId, 'scope': this.editScope }, removedEvent)
+            .then(result => {
+                this.selectedId = null;
+                this.selectedEvent = { ...DEFAULT_FORM };
+                this.dropFixedMutation();
+                this.openSpinner = false;
+                this.openModal = false;
+                this.pendingRevert = null;
+                if (result === QUEUED) {
+                    this.showQueuedToast();
+                    return;
+                }
+
+                // a whole series can't be recreated as it was, so only single entries go into the history
+                const command = isSeriesChange ? null : this.recordDelete(this.toSeriesEventData(removedEvent), removedId);
+                this.showToast(TOAST_MESSAGE.delete, TOAST_VARIANT.success, { actions: [this.undoAction(command)] });
+                if (isSeriesChange) {
+                    this.invalidateAllEvents();
+                } else {
+                    this.invalidateEvents(removedEvent);
+                }
+            })
+            .catch(error => {
+                console.error('Error occured on removeEvent', error);
+                this.showError(error);
+                this.openSpinner = false;
+                this.revertPendingMove();
+                this.openModal = false;
+            });
+    }
+
+    editEvent() {
+        this.openSpinner = true;
+        this.calculateWorkingHours();
+        this.createTitleBasedOnStartDate();
+
+        const previousEvent = this.eventRecord;
+        const updatedEvent = {
+            start: this.selectedEvent.start,
+            end: this.selectedEvent.end
+        };
+        const isSeriesChange = this.isRecurringEvent && this.editScope !== RECURRENCE_SCOPE.this;
+
+        const updatedId = this.selectedId;
+        const eventData = this.toEventData({ ...this.selectedEvent, projectId: this.selectedEvent.project });
+        const params = { 'eventId': updatedId, 'event': JSON.stringify(this.selectedEvent), 'scope': this.editScope };
+        this.submitMutation(MUTATION_TYPE.update, params, this.toPreview(this.selectedEvent))
+            .then(result => {
+                this.selectedId = null;
+                this.selectedEvent = { ...DEFAULT_FORM };
+                this.dropFixedMutation();
+                this.openSpinner = false;
+                this.openModal = false;
+                this.pendingRevert = null;
+                if (result === QUEUED) {
+                    this.showQueuedToast();
+                    return;
+                }
+
+                const command = isSeriesChange
+                    ? null
+                    : this.recordUpdate(updatedId, this.toSeriesEventData(previousEvent), eventData);
+                this.showToast(TOAST_MESSAGE.update, TOAST_VARIANT.success, { actions: [this.undoAction(command)] });
+                if (isSeriesChange) {
+                    this.invalidateAllEvents();
+                } else {
+                    this.invalidateEvents(previousEvent, updatedEvent);
+                }
+            })
+            .catch(error => {
+                console.error('Error occured on editEvent', error);
+                this.openSpinner = false;
+                if (this.reportServerValidationError(error)) {
+                    return;
+                }
+                this.showError(error);
+                this.revertPendingMove();
+                this.openModal = false;
+            })
+    }
+
+    addEventHandler() {
+        this.selectedEvent = { ...DEFAULT_FORM };
+        this.recurrence = { ...DEFAULT_RECURRENCE };
+        this.openModal = true;
+    }
+
+    removeEventHandler() {
+        this.selectedId = this.selectedEvent.id;
+        this.confirmRemoval();
+    }
+
+    cancelEventHandler() {
+        this.revertPendingMove();
+        this.fixingMutationId = null;
+        this.openModal = false;
+        this.selectedId = null;
+        this.selectedEvent = { ...DEFAULT_FORM };
+    }
+
+    async saveEventHandler(event) {
+        event.preventDefault();
+        if (!this.validateForm() || !(await this.confirmWorkingTimeViolations())) {
+            return;
+        }
+        if (this.selectedId) {
+            this.editEvent();
+        } else {
+            this.saveEvent();
+        }
+    }
+
+    recurrenceChangeHandler(event) {
+        const { name } = event.target;
+        const value = name === 'repeat' ? event.detail.checked : event.detail.value;
+        this.recurrence = { ...this.recurrence, [name]: value };
+    }
+
+    scopeChangeHandler(event) {
+        this.editScope = event.detail.value;
+    }
+
+    projectChangeHandler(event) {
+        const { value, label, color } = event.detail;
+        this.selectedEvent = { ...this.selectedEvent, project: value, projectName: label, projectColor: color };
+    }
+
+    changeHandler(event) {
+        const { name, value } = event.target;
+        event.target.setCustomValidity('');
+        this.selectedEvent = { ...this.selectedEvent, [name]: value };
+        this.calculateWorkingHours();
+    }
+
+    /**
+     * @description Show the validation errors inline on the modal inputs.
+     * @returns true if the entry can be saved
+     */
+    validateForm() {
+        const errors = this.getValidationErrors();
+        let isValid = true;
+        this.template.querySelectorAll('lightning-input').forEach(input => {
+            input.setCustomValidity(errors[input.name] || '');
+            isValid = input.reportValidity() && isValid;
+        });
+        return isValid;
+    }
+
+    /**
+     * @description Same checks as CalendarController.validateDates and validateOverlaps,
+     *              on the entry in the modal by default.
+     *              The overlap check only sees the events of the loaded range; Apex checks the rest.
+     * @returns error messages keyed by input name
+     */
+    getValidationErrors(event = this.selectedEvent, eventId = this.selectedId) {
+        const start = new Date(event.start);
+        const end = new Date(event.end);
+
+        if (isNaN(start.getTime())) {
+            return { start: VALIDATION_MESSAGE.INVALID_DATE };
+        }
+        if (isNaN(end.getTime())) {
+            return { end: VALIDATION_MESSAGE.INVALID_DATE };
+        }
+
+        const hours = (end - start) / MILLISECONDS_PER_HOUR;
+        if (hours <= 0) {
+            return { end: VALIDATION_MESSAGE.NON_POSITIVE_DURATION };
+        }
+        if (hours > MAX_ENTRY_HOURS) {
+            return { end: VALIDATION_MESSAGE.MAX_DURATION_EXCEEDED };
+        }
+        const breakMinutes = Number(event.breakMinutes) || 0;
+        if (breakMinutes < 0 || breakMinutes >= hours * 60) {
+            return { breakMinutes: VALIDATION_MESSAGE.INVALID_BREAK };
+        }
+
+        if (this.isLockedWeek(start, end)) {
+            return { start: VALIDATION_MESSAGE.WEEK_LOCKED };
+        }
+
+        const overlaps = this.events.some(otherEvent =>
+            otherEvent.id !== eventId &&
+            new Date(otherEvent.start) < end &&
+            new Date(otherEvent.end) > start
+        );
+        if (overlaps) {
+            return { start: VALIDATION_MESSAGE.OVERLAP };
+        }
+        return {};
+    }
+
+    /**
+     * @description Warn about the working-time rules the entry in the modal would break, besides those already broken.
+     *              Like the overlap check, only the events of the loaded range are taken into account.
+     * @returns true if the entry breaks no new rule or the user saves it anyway
+     */
+    async confirmWorkingTimeViolations() {
+        const start = new Date(this.selectedEvent.start);
+        const end = new Date(this.selectedEvent.end);
+        const entry = {
+            start: start.toISOString(),
+            end: end.toISOString(),
+            hours: calculateHours(start, end, this.selectedEvent.breakMinutes, this.workingTimeRules)
+        };
+        const otherEvents = this.events.filter(item => item.id !== this.selectedId);
+
+        const toKey = violation => `${violation.code}|${violation.day}`;
+        const currentViolations = new Set(
+            evaluateWorkingTime(this.events, this.workingTimeRules, this.timeZone).violations.map(toKey)
+        );
+        const newViolations = evaluateWorkingTime([...otherEvents, entry], this.workingTimeRules, this.timeZone)
+            .violations.filter(violation => !currentViolations.has(toKey(violation)));
+        if (!newViolations.length) {
+            return true;
+        }
+
+        const { message, theme, label } = CONFIRM_WORKING_TIME;
+        return LightningConfirm.open({
+            message: [message, ...newViolations.map(formatViolation)].join(' '),
+            theme,
+            label
+        });
+    }
+
+    /**
+     * @description Show a validation error returned by Apex on its field and keep the modal open.
+     * @returns true if the error was a validation error
+     */
+    reportServerValidationError(error) {
+        const validationError = this.parseValidationError(error);
+        if (!validationError) {
+            return false;
+        }
+
+        // errors without a matching input, e.g. on the repeat settings, are shown as a toast
+        const input = this.template.querySelector(`lightning-input[name="${validationError.field}"]`);
+        if (!input) {
+            this.showToast(validationError.message, TOAST_VARIANT.error);
+            return true;
+        }
+        input.setCustomValidity(VALIDATION_MESSAGE[validationError.code] || validationError.message);
+        input.reportValidity();
+        return true;
+    }
+
+    /**
+     * @returns the structured validation error of an Apex error, or null for other errors
+     */
+    parseValidationError(error) {
+        try {
+            const validationError = JSON.parse(error.body.message);
+            return validationError && validationError.code ? validationError : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    editEventClickHandler(event) {
+        if (this.isReadOnly) {
+            this.showToast(this.readOnlyMessage, TOAST_VARIANT.error, { sticky: false });
+            return;
+        }
+        if (event.running) {
+            this.showToast(TOAST_MESSAGE.timerRunning, TOAST_VARIANT.error, { sticky: false });
+            return;
+        }
+        if (event.pending) {
+            this.showToast(TOAST_MESSAGE.waitingToSync, TOAST_VARIANT.warning, { sticky: false });
+            return;
+        }
+        if (event.locked) {
+            this.showToast(TOAST_MESSAGE.locked, TOAST_VARIANT.error, { sticky: false });
+            return;
+        }
+        if (event.rejected) {
+            this.fixMutation(event.mutationId);
+            return;
+        }
+        this.openEditForm(event.id);
+    }
+
+    openEditForm(eventId) {
+        this.pendingRevert = null;
+        this.fixingMutationId = null;
+        this.editScope = RECURRENCE_SCOPE.this;
+        this.selectedId = eventId;
+        this.findEventRecord();
+        this.openModal = true;
+        this.setSelectedDates(this.eventRecord.start, this.eventRecord.end);
+    }
+
+    /**
+     * @description Handle a dropped or resized event: saved straight away, or with Alt held, opened in the modal.
+     *              An occurrence of a series is always opened in the modal, to pick which occurrences the change applies to.
+     *              revertFunc restores the event's original position if the change isn't saved.
+     */
+    moveEventHandler(event, revertFunc, jsEvent) {
+        const previousEvent = this.events.find(item => item.id === event.id);
+        if ((jsEvent && jsEvent.altKey) || (previousEvent && previousEvent.seriesId)) {
+            this.pendingRevert = revertFunc;
+            this.editScope = RECURRENCE_SCOPE.this;
+            this.selectedId = event.id;
+            this.findEventRecord();
+            this.openModal = true;
+            this.setSelectedDates(this.toUtcIso(event.start), this.toUtcIso(event.end));
+        } else {
+            this.commitMove(event, revertFunc);
+        }
+    }
+
+    /**
+     * @description Save a moved event through updateEvent. The sidebar is updated right away
+     *              and rolled back together with the calendar if the change is rejected.
+     */
+    commitMove(calendarEvent, revertFunc) {
+        const previousEvent = this.events.find(item => item.id === calendarEvent.id);
+        const start = this.toUtcIso(calendarEvent.start);
+        const end = this.toUtcIso(calendarEvent.end);
+
+        const errors = Object.values(this.getValidationErrors({ start, end, breakMinutes: previousEvent.breakMinutes }, calendarEvent.id));
+        if (errors.length) {
+            revertFunc();
+            this.showToast(errors[0], TOAST_VARIANT.error);
+            return;
+        }
+
+        const movedEvent = {
+            ...previousEvent,
+            title: toLocalDate(start, this.timeZone),
+            start,
+            end,
+            hours: calculateHours(start, end, previousEvent.breakMinutes, this.workingTimeRules)
+        };
+        this.replaceEvent(movedEvent);
+
+        const eventData = this.toEventData(movedEvent);
+        const params = { 'eventId': movedEvent.id, 'event': JSON.stringify(eventData), 'scope': RECURRENCE_SCOPE.this };
+        this.submitMutation(MUTATION_TYPE.update, params, movedEvent)
+            .then(result => {
+                if (result === QUEUED) {
+                    this.showQueuedToast();
+                    return;
+                }
+                const command = this.recordUpdate(movedEvent.id, this.toSeriesEventData(previousEvent), eventData);
+                this.showToast(TOAST_MESSAGE.update, TOAST_VARIANT.success, { actions: [this.undoAction(command)] });
+                this.invalidateEvents(previousEvent, movedEvent);
+            })
+            .catch(error => {
+                console.error('Error occured on commitMove', error);
+                revertFunc();
+                this.replaceEvent(previousEvent);
+                this.showError(error);
+            });
+    }
+
+    replaceEvent(event) {
+        this.events = this.events.map(item => item.id === event.id ? event : item);
+    }
+
+    revertPendingMove() {
+        if (this.pendingRevert) {
+            this.pendingRevert();
+            this.pendingRevert = null;
+        }
+    }
+
+    /**
+     * @returns the fields createEvent and updateEvent expect, from an event of this.events
+     */
+    toEventData(calendarEvent) {
+        return {
+            title: calendarEvent.title,
+            start: calendarEvent.start,
+            end: calendarEvent.end,
+            project: calendarEvent.projectId,
+            note: calendarEvent.note,
+            breakMinutes: calendarEvent.breakMinutes,
+            recordId: this.recordId
+        };
+    }
+
+    /**
+     * @returns the fields of toEventData with the series of the event, so undoing the deletion or change
+     *          of an occurrence puts it back in its series
+     */
+    toSeriesEventData(calendarEvent) {
+        return { ...this.toEventData(calendarEvent), series: calendarEvent.seriesId, seriesRule: calendarEvent.recurrenceRule };
+    }
+
+    /**
+     * @description Add a change to the undo history. A new change clears what could be redone.
+     *              A command replays its change and the inverse through Apex: { undo, redo }, both returning a promise.
+     */
+    recordCommand(command) {
+        this.undoStack = [...this.undoStack, command];
+        this.redoStack = [];
+        return command;
+    }
+
+    recordCreate(eventData, eventId) {
+        const command = {
+            eventId,
+            undo: () => deleteEvent({
+                'eventId': this.resolveEventId(command.eventId),
+                'scope': eventData.recurrence ? RECURRENCE_SCOPE.all : RECURRENCE_SCOPE.this
+            }),
+            redo: () => createEvent({ 'event': JSON.stringify(eventData) })
+                .then(newId => this.aliasEventId(command.eventId, newId))
+        };
+        return this.recordCommand(command);
+    }
+
+    recordUpdate(eventId, previousData, eventData) {
+        const update = data => updateEvent({
+            'eventId': this.resolveEventId(eventId),
+            'event': JSON.stringify(data),
+            'scope': RECURRENCE_SCOPE.this
+        });
+        return this.recordCommand({
+            undo: () => update(previousData),
+            redo: () => update(eventData)
+        });
+    }
+
+    recordDelete(eventData, eventId) {
+        const command = {
+            eventId,
+            undo: () => createEvent({ 'event': JSON.stringify(eventData) })
+                .then(newId => this.aliasEventId(command.eventId, newId)),
+            redo: () => deleteEvent({ 'eventId': this.resolveEventId(command.eventId), 'scope': RECURRENCE_SCOPE.this })
+        };
+        return this.recordCommand(command);
+    }
+
+    /**
+     * @description An entry deleted and created again by undo or redo gets a new id.
+     *              Commands keep the original id and look up the current one here.
+     */
+    resolveEventId(eventId) {
+        let resolvedId = eventId;
+        while (this.eventIdAliases.has(resolvedId)) {
+            resolvedId = this.eventIdAliases.get(resolvedId);
+        }
+        return resolvedId;
+    }
+
+    aliasEventId(eventId, newId) {
+        this.eventIdAliases.set(this.resolveEventId(eventId), newId);
+    }
+
+    undo() {
+        this.replay(this.undoStack, command => command.undo, TOAST_MESSAGE.undo, command => {
+            this.undoStack = this.undoStack.slice(0, -1);
+            this.redoStack = [...this.redoStack, command];
+        });
+    }
+
+    redo() {
+        this.replay(this.redoStack, command => command.redo, TOAST_MESSAGE.redo, command => {
+            this.redoStack = this.redoStack.slice(0, -1);
+            this.undoStack = [...this.undoStack, command];
+        });
+    }
+
+    /**
+     * @description Run the latest command of a stack and move it to the other stack once Apex accepted it.
+     *              Changes are replayed one at a time, in order.
+     */
+    replay(stack, getOperation, message, move) {
+        const command = stack[stack.length - 1];
+        if (!command || this.isReplaying) {
+            return;
+        }
+
+        this.isReplaying = true;
+        this.openSpinner = true;
+        getOperation(command)()
+            .then(() => {
+                move(command);
+                this.showToast(message, TOAST_VARIANT.success);
+                this.invalidateAllEvents();
+            })
+            .catch(error => {
+                console.error('Error occured on replay', error);
+                this.showError(error);
+            })
+            .finally(() => {
+                this.isReplaying = false;
+                this.openSpinner = false;
+            });
+    }
+
+    /**
+     * @returns the Undo action of a success toast, undoing the command if it is still the latest change
+     */
+    undoAction(command) {
+        if (!command) {
+            return null;
+        }
+        return {
+            label: LABELS.undo,
+            callback: () => {
+                if (this.undoStack[this.undoStack.length - 1] === command) {
+                    this.undo();
+                } else {
+                    this.showToast(TOAST_MESSAGE.undoUnavailable, TOAST_VARIANT.error);
+                }
+            }
+        };
+    }
+
+    undoHandler() {
+        this.undo();
+    }
+
+    redoHandler() {
+        this.redo();
+    }
+
+    /**
+     * @description Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes, Cmd instead of Ctrl on a Mac.
+     *              Ignored while a modal is open or the user is typing, so text fields keep their own undo.
+     */
+    keydownHandler(event) {
+        if (this.readOnly || !(event.ctrlKey || event.metaKey) || this.openModal || this.openExportModal || this.openImportModal || this.openCopyModal) {
+            return;
+        }
+        const target = event.composedPath ? event.composedPath()[0] : event.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
+    get cannotUndo() {
+        return this.undoStack.length === 0;
+    }
+
+    get cannotRedo() {
+        return this.redoStack.length === 0;
+    }
+
+    findEventRecord() {
+        this.eventRecord = this.events.find(item => item.id === this.selectedId);
+        this.selectedEvent.id = this.eventRecord.id;
+        this.selectedEvent.project = this.eventRecord.projectId;
+        this.selectedEvent.projectName = this.eventRecord.projectName;
+        this.selectedEvent.projectColor = this.eventRecord.projectColor;
+        this.selectedEvent.note = this.eventRecord.note;
+        this.selectedEvent.breakMinutes = this.eventRecord.breakMinutes;
+    }
+
+    setSelectedDates(start, end) {
+        this.selectedEvent.start = new Date(start).toISOString();
+        this.selectedEvent.end = new Date(end).toISOString();
+        this.createTitleBasedOnStartDate();
+        this.calculateWorkingHours();
+    }
+
+    async confirmRemoval() {
+        const { message, variant, label } = CONFIRM_REMOVAL;
+        const confirmRemovalResult = await LightningConfirm.open({
+            message: message,
+            variant: variant,
+            label: label
+        });
+        if (confirmRemovalResult) {
+            this.removeEvent();
+        }
+    }
+
+    openForm(startDate, endDate) {
+        this.openNewEntryForm(this.toUtcIso(startDate), this.toUtcIso(endDate));
+    }
+
+    /**
+     * @description Open the modal for a new entry from start to end (ISO strings in UTC), prefilled with details
+     *              such as the project and note of a template.
+     */
+    openNewEntryForm(start, end, details = {}) {
+        if (this.isReadOnly) {
+            this.showToast(this.readOnlyMessage, TOAST_VARIANT.error, { sticky: false });
+            return;
+        }
+        if (this.isLockedWeek(start)) {
+            this.showToast(TOAST_MESSAGE.locked, TOAST_VARIANT.error, { sticky: false });
+            return;
+        }
+        this.fixingMutationId = null;
+        this.selectedEvent = { ...this.selectedEvent, ...details };
+        this.setSelectedDates(start, end);
+        this.recurrence = { ...DEFAULT_RECURRENCE };
+        this.openModal = true;
+    }
+
+    showToast(message, variant, options) {
+        const toast = this.template.querySelector('c-notification');
+        if (toast) {
+            toast.showToast(message, variant, options);
+        };
+    }
+
+    showError(error) {
+        const toast = this.template.querySelector('c-notification');
+        if (toast) {
+            toast.showError(error);
+        };
+    }
+
+    get ModalName() {
+        return this.selectedId ? LABELS.updateHours : LABELS.addHours;
+    }
+
+    get isNewEvent() {
+        return !this.selectedId;
+    }
+
+    get isRecurringEvent() {
+        return !!(this.selectedId && this.eventRecord && this.eventRecord.seriesId);
+    }
+
+    get isWeeklyRecurrence() {
+        return this.recurrence.frequency === 'WEEKLY';
+    }
+
+    get endsByCount() {
+        return this.recurrence.ends === 'count';
+    }
+
+    get intervalLabel() {
+        return this.isWeeklyRecurrence ? LABELS.repeatEveryWeeks : LABELS.repeatEveryDays;
+    }
+
+    /**
+     * @description Build the RRULE subset CalendarController.expandRecurrence understands,
+     *              e.g. FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TU;COUNT=10
+     */
+    buildRecurrenceRule() {
+        const { frequency, interval, weekdays, ends, count, until } = this.recurrence;
+        const ruleParts = [`FREQ=${frequency}`, `INTERVAL=${interval}`];
+        if (frequency === 'WEEKLY' && weekdays.length) {
+            ruleParts.push(`BYDAY=${weekdays.join(',')}`);
+        }
+        ruleParts.push(ends === 'count' ? `COUNT=${count}` : `UNTIL=${until.replace(/-/g, '')}`);
+        return ruleParts.join(';');
+    }
+
+    /**
+     * @description Preview of the Hours__c that Apex will store, with the break deducted and the rounding policy applied.
+     */
+    calculateWorkingHours() {
+        const { start, end, breakMinutes } = this.selectedEvent;
+        this.selectedEvent.hours = calculateHours(start, end, breakMinutes, this.workingTimeRules);
+    }
+
+    createTitleBasedOnStartDate() {
+        this.selectedEvent.title = toLocalDate(this.selectedEvent.start, this.timeZone);
+        this.selectedEvent.weekday = this.getWeekdayName(this.parseLocalDate(this.selectedEvent.title));
+    }
+
+    /**
+     * @description Midnight of a 'YYYY-MM-DD' calendar day, as a Date for the weekday and week number.
+     */
+    parseLocalDate(localDate) {
+        const [year, month, day] = localDate.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    getWeekdayName(date) {
+        // getDay() starts on Sunday, WEEKDAYS on Monday
+        return WEEKDAYS[(date.getDay() + 6) % 7];
+    }
+
+    openExportHandler() {
+        // default to the visible range: https://fullcalendar.io/docs/v3/getView
+        const ele = this.template.querySelector("div.fullcalendarjs");
+        const view = $(ele).fullCalendar('getView');
+        this.exportRange = {
+            start: view.intervalStart.format('YYYY-MM-DD'),
+            end: view.intervalEnd.clone().subtract(1, 'day').format('YYYY-MM-DD')
+        };
+        this.openExportModal = true;
+    }
+
+    cancelExportHandler() {
+        this.openExportModal = false;
+    }
+
+    exportRangeChangeHandler(event) {
+        const { name, value } = event.target;
+        this.exportRange = { ...this.exportRange, [name]: value };
+    }
+
+    /**
+     * @description Fetch the entries of the chosen range and download them in the format of the clicked button.
+     */
+    exportHandler(event) {
+        const exportFormat = EXPORT_FORMAT[event.target.dataset.format];
+        const { start, end } = this.exportRange;
+
+        const endInput = this.template.querySelector('lightning-input[name="end"][data-export]');
+        endInput.setCustomValidity(start && end && end < start ? VALIDATION_MESSAGE.NON_POSITIVE_DURATION : '');
+        const isValid = [...this.template.querySelectorAll('lightning-input[data-export]')]
+            .reduce((valid, input) => input.reportValidity() && valid, true);
+        if (!isValid) {
+            return;
+        }
+
+        this.openSpinner = true;
+        const dayAfterEnd = moment(end).add(1, 'day').format('YYYY-MM-DD');
+        fetchEvents({
+            'rangeStart': fromWallClock(start, this.timeZone).toISOString(),
+            'rangeEnd': fromWallClock(dayAfterEnd, this.timeZone).toISOString(),
+            'recordId': this.recordId
+        })
+            .then(data => {
+                const events = data.map(record => this.toCalendarEvent(record));
+                const content = exportFormat === EXPORT_FORMAT.csv
+                    ? buildTimesheetCsv(this.groupEventsByWeek(events), this.timeZone)
+                    : buildICalendar(events);
+                this.downloadFile(content, `timesheet_${start}_${end}.${exportFormat.extension}`, exportFormat.mimeType);
+                this.openSpinner = false;
+                this.openExportModal = false;
+            })
+            .catch(error => {
+                console.error('Error occured on exportHandler', error);
+                this.showError(error);
+                this.openSpinner = false;
+            });
+    }
+
+    downloadFile(content, fileName, mimeType) {
+        const link = document.createElement('a');
+        link.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+        link.download = fileName;
+        link.click();
+    }
+
+    openImportHandler() {
+        this.importRows = [];
+        this.openImportModal = true;
+    }
+
+    cancelImportHandler() {
+        this.openImportModal = false;
+        this.importRows = [];
+    }
+
+    /**
+     * @description Parse the uploaded file and preview its entries, flagging invalid rows
+     *              and overlaps with the entries already saved in the file's range.
+     */
+    importFileChangeHandler(event) {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+
+        this.openSpinner = true;
+        let rows;
+        file.text()
+            .then(content => {
+                rows = parseTimesheetFile(file.name, content, this.timeZone);
+                const dates = rows.filter(row => !row.error).flatMap(row => [row.start, row.end]);
+                if (!dates.length) {
+                    return [];
+                }
+                return fetchEvents({
+                    'rangeStart': new Date(Math.min(...dates)).toISOString(),
+                    'rangeEnd': new Date(Math.max(...dates)).toISOString()
+                });
+            })
+            .then(data => {
+                const existingEvents = data.map(record => this.toCalendarEvent(record));
+                this.importRows = this.toPreviewRows(validateImportRows(rows, existingEvents, MAX_ENTRY_HOURS));
+                if (!this.importRows.length) {
+                    this.showToast(TOAST_MESSAGE.noEntriesToImport, TOAST_VARIANT.error);
+                }
+                this.openSpinner = false;
+            })
+            .catch(error => {
+                console.error('Error occured on importFileChangeHandler', error);
+                this.showError(error);
+                this.importRows = [];
+                this.openSpinner = false;
+            });
+    }
+
+    importRowSelectHandler(event) {
+        const { key } = event.target.dataset;
+        this.importRows = this.importRows.map(row => row.key === key ? { ...row, selected: event.detail.checked } : row);
+    }
+
+    /**
+     * @description Send the selected rows to Apex in one call and show the outcome of each row in the preview.
+     */
+    importHandler() {
+        const selectedRows = this.importRows.filter(row => row.isReady && row.selected);
+        if (!selectedRows.length) {
+            return;
+        }
+
+        const events = selectedRows.map(row => ({
+            row: row.row,
+            title: toLocalDate(row.start, this.timeZone),
+            start: row.start.toISOString(),
+            end: row.end.toISOString(),
+            recordId: this.recordId
+        }));
+
+        this.openSpinner = true;
+        createEvents({ 'events': JSON.stringify(events) })
+            .then(results => {
+                this.importRows = this.applyCreateResults(this.importRows, results);
+
+                const importedCount = results.filter(result => result.success).length;
+                this.showToast(
+                    formatLabel(LABELS.importResult, importedCount, results.length),
+                    importedCount === results.length ? TOAST_VARIANT.success : TOAST_VARIANT.error
+                );
+                this.openSpinner = false;
+                this.invalidateAllEvents();
+            })
+            .catch(error => {
+                console.error('Error occured on importHandler', error);
+                this.showError(error);
+                this.openSpinner = false;
+            });
+    }
+
+    /**
+     * @description Rows of the import or copy preview, the ready ones selected.
+     * @param rows rows checked by validateImportRows
+     */
+    toPreviewRows(rows) {
+        return rows.map(row => {
+            const isReady = row.status === IMPORT_STATUS.ready;
+            return {
+                ...row,
+                key: String(row.row),
+                startLabel: row.start ? formatDateTime(row.start, this.timeZone) : '',
+                endLabel: row.end ? formatDateTime(row.end, this.timeZone) : '',
+                isReady,
+                isDisabled: !isReady,
+                selected: isReady,
+                statusClass: IMPORT_STATUS_CLASS[row.status],
+                statusLabel: IMPORT_STATUS_LABEL[row.status]
+            };
+        });
+    }
+
+    /**
+     * @description Show the outcome of each row sent to CalendarController.createEvents in the preview.
+     */
+    applyCreateResults(rows, results) {
+        const resultsByRow = new Map(results.map(result => [result.row, result]));
+        return rows.map(row => {
+            const result = resultsByRow.get(row.row);
+            if (!result) {
+                return row;
+            }
+            const status = result.success ? IMPORT_STATUS.imported : IMPORT_STATUS.failed;
+            return {
+                ...row,
+                status,
+                message: result.message || '',
+                isReady: false,
+                isDisabled: true,
+                selected: false,
+                statusClass: IMPORT_STATUS_CLASS[status],
+                statusLabel: IMPORT_STATUS_LABEL[status]
+            };
+        });
+    }
+
+    get hasImportRows() {
+        return this.importRows.length > 0;
+    }
+
+    get importButtonLabel() {
+        const count = this.importRows.filter(row => row.isReady && row.selected).length;
+        return formatLabel(LABELS.importEntries, count);
+    }
+
+    get isImportDisabled() {
+        return !this.importRows.some(row => row.isReady && row.selected);
+    }
+
+    openCopyHandler(event) {
+        const { period, date } = event.target.dataset;
+        this.copySource = { period, date };
+        this.copyTarget = '';
+        this.copyRows = [];
+        this.openCopyModal = true;
+    }
+
+    cancelCopyHandler() {
+        this.openCopyModal = false;
+        this.copySource = null;
+        this.copyRows = [];
+    }
+
+    copyTargetChangeHandler(event) {
+        this.copyTarget = event.target.value;
+        this.previewCopy();
+    }
+
+    /**
+     * @description Preview the copies of the source entries in the target day or week,
+     *              flagging those overlapping each other or the entries already saved there.
+     */
+    previewCopy() {
+        const targetDate = this.copyTargetDate;
+        const sourceEvents = this.events.filter(event => {
+            const day = toLocalDate(event.start, this.timeZone);
+            return (this.copySource.period === COPY_PERIOD.week ? getWeekStart(day) : day) === this.copySource.date;
+        });
+        if (!targetDate || !sourceEvents.length) {
+            this.copyRows = [];
+            if (targetDate) {
+                this.showToast(TOAST_MESSAGE.noEntriesToCopy, TOAST_VARIANT.error, { sticky: false });
+            }
+            return;
+        }
+
+        const rows = shiftEntries(sourceEvents, daysBetween(this.copySource.date, targetDate), this.timeZone);
+        this.openSpinner = true;
+        fetchEvents({
+            'rangeStart': new Date(Math.min(...rows.map(row => row.start))).toISOString(),
+            'rangeEnd': new Date(Math.max(...rows.map(row => row.end))).toISOString()
+        })
+            .then(data => {
+                const existingEvents = data.map(record => this.toCalendarEvent(record));
+                this.copyRows = this.toPreviewRows(validateImportRows(rows, existingEvents, MAX_ENTRY_HOURS));
+                this.openSpinner = false;
+            })
+            .catch(error => {
+                console.error('Error occured on previewCopy', error);
+                this.showError(error);
+                this.copyRows = [];
+                this.openSpinner = false;
+            });
+    }
+
+    copyRowSelectHandler(event) {
+        const { key } = event.target.dataset;
+        this.copyRows = this.copyRows.map(row => row.key === key ? { ...row, selected: event.detail.checked } : row);
+    }
+
+    /**
+     * @description Create the selected copies in one call to Apex and show the outcome of each in the preview.
+     */
+    copyHandler() {
+        const selectedRows = this.copyRows.filter(row => row.isReady && row.selected);
+        if (!selectedRows.length) {
+            return;
+        }
+
+        const events = selectedRows.map(row => ({
+            row: row.row,
+            title: toLocalDate(row.start, this.timeZone),
+            start: row.start.toISOString(),
+            end: row.end.toISOString(),
+            project: row.project,
+            note: row.note,
+            breakMinutes: row.breakMinutes,
+            recordId: this.recordId
+        }));
+
+        this.openSpinner = true;
+        createEvents({ 'events': JSON.stringify(events) })
+            .then(results => {
+                this.copyRows = this.applyCreateResults(this.copyRows, results);
+
+                const copiedCount = results.filter(result => result.success).length;
+                this.showToast(
+                    formatLabel(LABELS.copyResult, copiedCount, results.length),
+                    copiedCount === results.length ? TOAST_VARIANT.success : TOAST_VARIANT.error
+                );
+                this.openSpinner = false;
+                this.invalidateEvents(...events);
+            })
+            .catch(error => {
+                console.error('Error occured on copyHandler', error);
+                this.showError(error);
+                this.openSpinner = false;
+            });
+    }
+
+    get copyTargetDate() {
+        if (!this.copyTarget) {
+            return null;
+        }
+        return this.copySource.period === COPY_PERIOD.week ? getWeekStart(this.copyTarget) : this.copyTarget;
+    }
+
+    get copyModalTitle() {
+        return this.copySource.period === COPY_PERIOD.week
+            ? formatLabel(LABELS.copyWeekTitle, this.copySource.date)
+            : formatLabel(LABELS.copyDayTitle, this.copySource.date);
+    }
+
+    get copyTargetLabel() {
+        return this.copySource.period === COPY_PERIOD.week ? LABELS.copyToWeek : LABELS.copyTo;
+    }
+
+    get copyTargetRange() {
+        const targetDate = this.copyTargetDate;
+        if (!targetDate) {
+            return '';
+        }
+        return this.copySource.period === COPY_PERIOD.week
+            ? formatLabel(LABELS.copyTargetWeek, this.getWeekdayName(this.parseLocalDate(targetDate)), targetDate, addDays(targetDate, 6))
+            : formatLabel(LABELS.copyTargetDay, this.getWeekdayName(this.parseLocalDate(targetDate)), targetDate);
+    }
+
+    get hasCopyRows() {
+        return this.copyRows.length > 0;
+    }
+
+    get copyButtonLabel() {
+        const count = this.copyRows.filter(row => row.isReady && row.selected).length;
+        return formatLabel(LABELS.copyEntries, count);
+    }
+
+    get isCopyDisabled() {
+        return !this.copyRows.some(row => row.isReady && row.selected);
+    }
+
+    /**
+     * @description Apply a template picked in the modal on the day of the entry.
+     */
+    templateSelectHandler(event) {
+        const template = this.templates.find(item => item.id === event.detail.value);
+        const localDate = toLocalDate(this.selectedEvent.start, this.timeZone);
+        const entry = applyTemplate(template, getTemplateStart(template, localDate, this.timeZone));
+        this.selectedEvent = { ...this.selectedEvent, ...entry };
+        this.setSelectedDates(entry.start, entry.end);
+    }
+
+    async saveTemplateHandler() {
+        if (!this.validateForm()) {
+            return;
+        }
+        const name = await LightningPrompt.open({ ...PROMPT_TEMPLATE_NAME, defaultValue: this.selectedEvent.projectName });
+        if (!name) {
+            return;
+        }
+        saveTemplate({ 'template': JSON.stringify(toTemplate(this.selectedEvent, name, this.timeZone)) })
+            .then(template => {
+                this.templates = [...this.templates, template].sort((a, b) => a.name.localeCompare(b.name));
+                this.showToast(TOAST_MESSAGE.templateSaved, TOAST_VARIANT.success);
+            })
+            .catch(error => {
+                console.error('Error occured on saveTemplateHandler', error);
+                this.showError(error);
+            });
+    }
+
+    deleteTemplateHandler(event) {
+        const { id } = event.target.dataset;
+        deleteTemplate({ 'templateId': id })
+            .then(() => {
+                this.templates = this.templates.filter(template => template.id !== id);
+                this.showToast(TOAST_MESSAGE.templateDeleted, TOAST_VARIANT.success);
+            })
+            .catch(error => {
+                console.error('Error occured on deleteTemplateHandler', error);
+                this.showError(error);
+            });
+    }
+
+    templateDragStartHandler(event) {
+        this.draggedTemplateId = event.currentTarget.dataset.id;
+        event.dataTransfer.setData('text/plain', this.draggedTemplateId);
+        event.dataTransfer.effectAllowed = 'copy';
+    }
+
+    templateDragEndHandler() {
+        this.draggedTemplateId = null;
+    }
+
+    calendarDragOverHandler(event) {
+        // allows dropping templates only
+        if (this.draggedTemplateId) {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+        }
+    }
+
+    /**
+     * @description Open the modal for an entry made from the template dropped onto the calendar:
+     *              at the time slot it is dropped on in the week and day views, at its start time in the month view.
+     */
+    calendarDropHandler(event) {
+        const template = this.templates.find(item => item.id === this.draggedTemplateId);
+        this.draggedTemplateId = null;
+        if (!template) {
+            return;
+        }
+        event.preventDefault();
+
+        const isUnderPointer = ele => {
+            const rect = ele.getBoundingClientRect();
+            return event.clientX >= rect.left && event.clientX < rect.right && event.clientY >= rect.top && event.clientY < rect.bottom;
+        };
+        const dayCell = [...this.template.querySelectorAll('.fc-bg td.fc-day[data-date]')].find(isUnderPointer);
+        if (!dayCell) {
+            return;
+        }
+        const timeSlot = [...this.template.querySelectorAll('.fc-slats tr[data-time]')].find(isUnderPointer);
+        const start = timeSlot
+            ? fromWallClock(`${dayCell.dataset.date}T${timeSlot.dataset.time}`, this.timeZone)
+            : getTemplateStart(template, dayCell.dataset.date, this.timeZone);
+        const entry = applyTemplate(template, start);
+        this.openNewEntryForm(entry.start, entry.end, entry);
+    }
+
+    get templateItems() {
+        return this.templates.map(template => ({
+            ...template,
+            timeLabel: `${template.startTime}–${getTemplateEndTime(template)}`,
+            swatchStyle: template.projectColor ? `background-color: ${template.projectColor}` : ''
+        }));
+    }
+
+    get templateOptions() {
+        return this.templates.map(template => ({
+            label: `${template.name} (${template.startTime}–${getTemplateEndTime(template)})`,
+            value: template.id
+        }));
+    }
+
+    get hasTemplates() {
+        return this.templates.length > 0;
+    }
+
+    get hasMutations() {
+        return !this.isTeamMode && this.mutations.length > 0;
+    }
+
+    get hasPendingMutations() {
+        return hasPendingMutations(this.mutations);
+    }
+
+    get pendingMutationsLabel() {
+        return formatLabel(LABELS.pendingChanges, this.mutations.filter(mutation => mutation.status === MUTATION_STATUS.pending).length);
+    }
+
+    get mutationItems() {
+        return this.mutations.map(mutation => ({
+            id: mutation.id,
+            label: formatLabel(MUTATION_LABEL[mutation.type], toLocalDate(mutation.preview.start, this.timeZone)),
+            rejected: mutation.status === MUTATION_STATUS.rejected,
+            error: formatLabel(LABELS.rejectedChange, mutation.error)
+        }));
+    }
+
+    get groupedEventsBasedOnWeekNumber() {
+        // the running timer counts towards the totals as it goes
+        const events = this.runningTimer && !this.isTeamMode ? [...this.events, this.getRunningTimerEvent()] : this.events;
+        const workingTime = evaluateWorkingTime(events, this.workingTimeRules, this.timeZone);
+        // the rules and the expected hours apply to one person, not to the entries of a whole team
+        const showWorkingTime = !this.isTeamMode;
+        return this.groupEventsByWeek(events).map(weekNumberGroup => {
+            const status = this.getTimesheetStatus(weekNumberGroup.weekStart);
+            const timesheet = this.timesheets[weekNumberGroup.weekStart];
+            const weekTotals = workingTime.weeks[weekNumberGroup.weekStart];
+            const violations = workingTime.violations
+                .filter(violation => showWorkingTime && getWeekStart(violation.day) === weekNumberGroup.weekStart)
+                .map((violation, index) => ({ ...violation, key: `${violation.code}-${violation.day}-${index}`, message: formatViolation(violation) }));
+            const violationDays = violations.map(violation => violation.day);
+            const nonWorkingDays = Object.values(this.nonWorkingDays)
+                .filter(day => getWeekStart(day.date) === weekNumberGroup.weekStart)
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .map(day => ({
+                    ...day,
+                    key: day.date,
+                    label: formatLabel(LABELS.nonWorkingDay, NON_WORKING_DAY_LABEL[day.type], this.getWeekdayName(this.parseLocalDate(day.date)), day.date, day.name)
+                }));
+            const expectedHours = getExpectedHours(weekNumberGroup.weekStart, this.workSchedule, nonWorkingDays.map(day => day.date));
+            const difference = Number((weekTotals.hours - expectedHours).toFixed(2));
+            return {
+                ...weekNumberGroup,
+                weeklyHoursLabel: formatLabel(LABELS.weeklyHours, weekNumberGroup.weekNumber),
+                expectedHours,
+                difference,
+                differenceClass: difference < 0 ? 'slds-p-left_x-small slds-text-color_error' : 'slds-p-left_x-small slds-text-color_success',
+                nonWorkingDays,
+                regularHours: weekTotals.regularHours,
+                overtimeHours: weekTotals.overtimeHours,
+                hasOvertime: weekTotals.overtimeHours > 0,
+                showWorkingTime,
+                violations,
+                weeks: weekNumberGroup.weeks.map(weekGroup => ({
+                    ...weekGroup,
+                    dailyHoursLabel: formatLabel(LABELS.dailyHours, weekGroup.title, weekGroup.weekday),
+                    overtimeHours: workingTime.days[weekGroup.title].overtimeHours,
+                    hasOvertime: showWorkingTime && workingTime.days[weekGroup.title].overtimeHours > 0,
+                    dayClass: violationDays.includes(weekGroup.title)
+                        ? 'slds-p-left_medium slds-p-right_medium slds-theme_shade slds-text-color_error'
+                        : 'slds-p-left_medium slds-p-right_medium'
+                })),
+                status,
+                statusClass: TIMESHEET_STATUS_CLASS[status],
+                statusLabel: TIMESHEET_STATUS_LABEL[status],
+                showStatus: !this.isTeamMode,
+                canCopy: !this.isReadOnly,
+                canSubmit: !this.isReadOnly && !LOCKED_TIMESHEET_STATUSES.includes(status),
+                rejectionComment: status === TIMESHEET_STATUS.rejected && timesheet && timesheet.comment
+                    ? formatLabel(LABELS.rejected, timesheet.comment)
+                    : null
+            };
+        });
+    }
+
+    /**
+     * @description Group events by week, starting on Monday like the timesheets, then by day, with daily and weekly hour totals
+     *              and the weekly hours per project.
+     *              Entries are split at local midnight, so each day only holds the part of an overnight entry worked on it.
+     *              Used for the sidebar and the CSV export.
+     */
+    groupEventsByWeek(events) {
+
+        let groupedEvents = {};
+
+        events.flatMap(event => splitEventByDay(event, this.timeZone)).forEach(event => {
+            const { hours } = event;
+
+            // group on the calendar day of the user's time zone
+            const title = event.day;
+            const date = this.parseLocalDate(title);
+            const weekStart = getWeekStart(title);
+            const weekNumber = getWeekNumber(weekStart, WEEK_RULES);
+            const weekday = this.getWeekdayName(date);
+
+            // initialize week group if not exists
+            if (!groupedEvents[weekStart]) {
+                groupedEvents[weekStart] = { 
+                    weekNumber, 
+                    weekStart,
+                    weeks: [], 
+                    projects: [],
+                    weeklyTotalHours: 0 
+                };
+            }
+
+            // find or create week group within week
+            let weekGroup = groupedEvents[weekStart].weeks.find(group => group.title === title);
+            if (!weekGroup) {
+                weekGroup = { 
+                    title, 
+                    weekday,
+                    events: [], 
+                    dailyTotalHours: 0, 
+                };
+                groupedEvents[weekStart].weeks.push(weekGroup);
+            }
+
+            // find or create project group within week
+            const projectKey = event.projectId || 'none';
+            let projectGroup = groupedEvents[weekStart].projects.find(group => group.key === projectKey);
+            if (!projectGroup) {
+                projectGroup = {
+                    key: projectKey,
+                    name: event.projectName || NO_PROJECT_LABEL,
+                    swatchStyle: event.projectColor ? `background-color: ${event.projectColor}` : '',
+                    hours: 0
+                };
+                groupedEvents[weekStart].projects.push(projectGroup);
+            }
+
+            // add event to week group
+            weekGroup.events.push(event);
+            weekGroup.dailyTotalHours += hours;
+            projectGroup.hours += hours;
+            groupedEvents[weekStart].weeklyTotalHours += hours;
+        });
+
+        // sort each week's title groups by title, and its projects by name
+        for (let weekStart in groupedEvents) {
+            groupedEvents[weekStart].weeks.sort((a, b) => a.title.localeCompare(b.title));
+            groupedEvents[weekStart].projects.sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        const groupedEventsArray = Object.values(groupedEvents).sort((a, b) => a.weekStart.localeCompare(b.weekStart));
         return groupedEventsArray;
     }
-}
\ No newline at end of file
+}
+
+function formatViolation({ code, values }) {
+    return formatLabel(VIOLATION_MESSAGE[code], ...values);
+}
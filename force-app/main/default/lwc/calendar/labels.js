@@ -0,0 +1,311 @@
+/**
+ * @description Custom Labels of c-calendar, see labels/CustomLabels.labels-meta.xml.
+ *              {0}, {1}... in a label are filled in with formatLabel of c/localization.
+ */
+import loading from '@salesforce/label/c.Calendar_Loading';
+import elapsedTime from '@salesforce/label/c.Calendar_ElapsedTime';
+import clockIn from '@salesforce/label/c.Calendar_ClockIn';
+import clockOut from '@salesforce/label/c.Calendar_ClockOut';
+import timerNotStopped from '@salesforce/label/c.Calendar_TimerNotStopped';
+import stoppedAt from '@salesforce/label/c.Calendar_StoppedAt';
+import discardTimer from '@salesforce/label/c.Calendar_DiscardTimer';
+import teamEntries from '@salesforce/label/c.Calendar_TeamEntries';
+import directReports from '@salesforce/label/c.Calendar_DirectReports';
+import mine from '@salesforce/label/c.Calendar_Mine';
+import undo from '@salesforce/label/c.Calendar_Undo';
+import undoShortcut from '@salesforce/label/c.Calendar_UndoShortcut';
+import redo from '@salesforce/label/c.Calendar_Redo';
+import redoShortcut from '@salesforce/label/c.Calendar_RedoShortcut';
+import importButton from '@salesforce/label/c.Calendar_ImportButton';
+import exportButton from '@salesforce/label/c.Calendar_ExportButton';
+import hoursOnRecord from '@salesforce/label/c.Calendar_HoursOnRecord';
+import weekNumber from '@salesforce/label/c.Calendar_WeekNumber';
+import noRecordHours from '@salesforce/label/c.Calendar_NoRecordHours';
+import templates from '@salesforce/label/c.Calendar_Templates';
+import dragTemplate from '@salesforce/label/c.Calendar_DragTemplate';
+import deleteTemplate from '@salesforce/label/c.Calendar_DeleteTemplate';
+import weeklyHours from '@salesforce/label/c.Calendar_WeeklyHours';
+import copyWeekTo from '@salesforce/label/c.Calendar_CopyWeekTo';
+import copyDayTo from '@salesforce/label/c.Calendar_CopyDayTo';
+import submitWeek from '@salesforce/label/c.Calendar_SubmitWeek';
+import regular from '@salesforce/label/c.Calendar_Regular';
+import overtime from '@salesforce/label/c.Calendar_Overtime';
+import expected from '@salesforce/label/c.Calendar_Expected';
+import actual from '@salesforce/label/c.Calendar_Actual';
+import difference from '@salesforce/label/c.Calendar_Difference';
+import rejected from '@salesforce/label/c.Calendar_Rejected';
+import dailyHours from '@salesforce/label/c.Calendar_DailyHours';
+import nonWorkingDay from '@salesforce/label/c.Calendar_NonWorkingDay';
+import holiday from '@salesforce/label/c.Calendar_Holiday';
+import leave from '@salesforce/label/c.Calendar_Leave';
+import dragHint from '@salesforce/label/c.Calendar_DragHint';
+import noProject from '@salesforce/label/c.Calendar_NoProject';
+import statusDraft from '@salesforce/label/c.Calendar_StatusDraft';
+import statusSubmitted from '@salesforce/label/c.Calendar_StatusSubmitted';
+import statusApproved from '@salesforce/label/c.Calendar_StatusApproved';
+import statusRejected from '@salesforce/label/c.Calendar_StatusRejected';
+import today from '@salesforce/label/c.Calendar_Today';
+import month from '@salesforce/label/c.Calendar_Month';
+import week from '@salesforce/label/c.Calendar_Week';
+import day from '@salesforce/label/c.Calendar_Day';
+import allDay from '@salesforce/label/c.Calendar_AllDay';
+import addHours from '@salesforce/label/c.Calendar_AddHours';
+import updateHours from '@salesforce/label/c.Calendar_UpdateHours';
+import close from '@salesforce/label/c.Calendar_Close';
+import template from '@salesforce/label/c.Calendar_Template';
+import applyTemplate from '@salesforce/label/c.Calendar_ApplyTemplate';
+import startDate from '@salesforce/label/c.Calendar_StartDate';
+import endDate from '@salesforce/label/c.Calendar_EndDate';
+import project from '@salesforce/label/c.Calendar_Project';
+import note from '@salesforce/label/c.Calendar_Note';
+import breakMinutes from '@salesforce/label/c.Calendar_BreakMinutes';
+import workHours from '@salesforce/label/c.Calendar_WorkHours';
+import repeat from '@salesforce/label/c.Calendar_Repeat';
+import frequency from '@salesforce/label/c.Calendar_Frequency';
+import daily from '@salesforce/label/c.Calendar_Daily';
+import weekly from '@salesforce/label/c.Calendar_Weekly';
+import repeatEveryDays from '@salesforce/label/c.Calendar_RepeatEveryDays';
+import repeatEveryWeeks from '@salesforce/label/c.Calendar_RepeatEveryWeeks';
+import repeatOn from '@salesforce/label/c.Calendar_RepeatOn';
+import ends from '@salesforce/label/c.Calendar_Ends';
+import endsAfterCount from '@salesforce/label/c.Calendar_EndsAfterCount';
+import endsOnDate from '@salesforce/label/c.Calendar_EndsOnDate';
+import numberOfEntries from '@salesforce/label/c.Calendar_NumberOfEntries';
+import endRepeatOn from '@salesforce/label/c.Calendar_EndRepeatOn';
+import applyTo from '@salesforce/label/c.Calendar_ApplyTo';
+import scopeThis from '@salesforce/label/c.Calendar_ScopeThis';
+import scopeFollowing from '@salesforce/label/c.Calendar_ScopeFollowing';
+import scopeAll from '@salesforce/label/c.Calendar_ScopeAll';
+import deleteButton from '@salesforce/label/c.Calendar_DeleteButton';
+import saveAsTemplate from '@salesforce/label/c.Calendar_SaveAsTemplate';
+import templateName from '@salesforce/label/c.Calendar_TemplateName';
+import save from '@salesforce/label/c.Calendar_Save';
+import confirmDeleteTitle from '@salesforce/label/c.Calendar_ConfirmDeleteTitle';
+import confirmDeleteMessage from '@salesforce/label/c.Calendar_ConfirmDeleteMessage';
+import confirmWorkingTimeTitle from '@salesforce/label/c.Calendar_ConfirmWorkingTimeTitle';
+import confirmWorkingTimeMessage from '@salesforce/label/c.Calendar_ConfirmWorkingTimeMessage';
+import violationDailyHours from '@salesforce/label/c.Calendar_ViolationDailyHours';
+import violationWeeklyHours from '@salesforce/label/c.Calendar_ViolationWeeklyHours';
+import violationRest from '@salesforce/label/c.Calendar_ViolationRest';
+import violationConsecutiveDays from '@salesforce/label/c.Calendar_ViolationConsecutiveDays';
+import invalidDate from '@salesforce/label/c.Calendar_InvalidDate';
+import nonPositiveDuration from '@salesforce/label/c.Calendar_NonPositiveDuration';
+import maxDurationExceeded from '@salesforce/label/c.Calendar_MaxDurationExceeded';
+import overlap from '@salesforce/label/c.Calendar_Overlap';
+import weekLocked from '@salesforce/label/c.Calendar_WeekLocked';
+import invalidBreak from '@salesforce/label/c.Calendar_InvalidBreak';
+import created from '@salesforce/label/c.Calendar_Created';
+import updated from '@salesforce/label/c.Calendar_Updated';
+import deleted from '@salesforce/label/c.Calendar_Deleted';
+import undone from '@salesforce/label/c.Calendar_Undone';
+import redone from '@salesforce/label/c.Calendar_Redone';
+import undoUnavailable from '@salesforce/label/c.Calendar_UndoUnavailable';
+import submitted from '@salesforce/label/c.Calendar_Submitted';
+import teamReadOnly from '@salesforce/label/c.Calendar_TeamReadOnly';
+import calendarReadOnly from '@salesforce/label/c.Calendar_CalendarReadOnly';
+import clockedIn from '@salesforce/label/c.Calendar_ClockedIn';
+import clockedOut from '@salesforce/label/c.Calendar_ClockedOut';
+import timerDiscarded from '@salesforce/label/c.Calendar_TimerDiscarded';
+import timerRunning from '@salesforce/label/c.Calendar_TimerRunning';
+import noEntriesToCopy from '@salesforce/label/c.Calendar_NoEntriesToCopy';
+import templateSaved from '@salesforce/label/c.Calendar_TemplateSaved';
+import templateDeleted from '@salesforce/label/c.Calendar_TemplateDeleted';
+import exportHours from '@salesforce/label/c.Calendar_ExportHours';
+import exportFrom from '@salesforce/label/c.Calendar_ExportFrom';
+import exportTo from '@salesforce/label/c.Calendar_ExportTo';
+import csvTimesheet from '@salesforce/label/c.Calendar_CsvTimesheet';
+import iCalendar from '@salesforce/label/c.Calendar_ICalendar';
+import importHours from '@salesforce/label/c.Calendar_ImportHours';
+import importFile from '@salesforce/label/c.Calendar_ImportFile';
+import importEntries from '@salesforce/label/c.Calendar_ImportEntries';
+import importNoEntries from '@salesforce/label/c.Calendar_ImportNoEntries';
+import importResult from '@salesforce/label/c.Calendar_ImportResult';
+import row from '@salesforce/label/c.Calendar_Row';
+import start from '@salesforce/label/c.Calendar_Start';
+import end from '@salesforce/label/c.Calendar_End';
+import hours from '@salesforce/label/c.Calendar_Hours';
+import status from '@salesforce/label/c.Calendar_Status';
+import statusReady from '@salesforce/label/c.Calendar_StatusReady';
+import statusInvalid from '@salesforce/label/c.Calendar_StatusInvalid';
+import statusOverlap from '@salesforce/label/c.Calendar_StatusOverlap';
+import statusImported from '@salesforce/label/c.Calendar_StatusImported';
+import statusFailed from '@salesforce/label/c.Calendar_StatusFailed';
+import copy from '@salesforce/label/c.Calendar_Copy';
+import copyWeekTitle from '@salesforce/label/c.Calendar_CopyWeekTitle';
+import copyDayTitle from '@salesforce/label/c.Calendar_CopyDayTitle';
+import copyToWeek from '@salesforce/label/c.Calendar_CopyToWeek';
+import copyTo from '@salesforce/label/c.Calendar_CopyTo';
+import copyTargetWeek from '@salesforce/label/c.Calendar_CopyTargetWeek';
+import copyTargetDay from '@salesforce/label/c.Calendar_CopyTargetDay';
+import copyEntries from '@salesforce/label/c.Calendar_CopyEntries';
+import copyResult from '@salesforce/label/c.Calendar_CopyResult';
+import unsavedChanges from '@salesforce/label/c.Calendar_UnsavedChanges';
+import pendingChanges from '@salesforce/label/c.Calendar_PendingChanges';
+import rejectedChange from '@salesforce/label/c.Calendar_RejectedChange';
+import mutationCreate from '@salesforce/label/c.Calendar_MutationCreate';
+import mutationUpdate from '@salesforce/label/c.Calendar_MutationUpdate';
+import mutationDelete from '@salesforce/label/c.Calendar_MutationDelete';
+import showChange from '@salesforce/label/c.Calendar_ShowChange';
+import discardChange from '@salesforce/label/c.Calendar_DiscardChange';
+import retrySync from '@salesforce/label/c.Calendar_RetrySync';
+import savedOffline from '@salesforce/label/c.Calendar_SavedOffline';
+import changesSynced from '@salesforce/label/c.Calendar_ChangesSynced';
+import changeRejected from '@salesforce/label/c.Calendar_ChangeRejected';
+import waitingToSync from '@salesforce/label/c.Calendar_WaitingToSync';
+import calendarTab from '@salesforce/label/c.Calendar_CalendarTab';
+import reportsTab from '@salesforce/label/c.Calendar_ReportsTab';
+
+export default {
+    loading,
+    elapsedTime,
+    clockIn,
+    clockOut,
+    timerNotStopped,
+    stoppedAt,
+    discardTimer,
+    teamEntries,
+    directReports,
+    mine,
+    undo,
+    undoShortcut,
+    redo,
+    redoShortcut,
+    importButton,
+    exportButton,
+    hoursOnRecord,
+    weekNumber,
+    noRecordHours,
+    templates,
+    dragTemplate,
+    deleteTemplate,
+    weeklyHours,
+    copyWeekTo,
+    copyDayTo,
+    submitWeek,
+    regular,
+    overtime,
+    expected,
+    actual,
+    difference,
+    rejected,
+    dailyHours,
+    nonWorkingDay,
+    holiday,
+    leave,
+    dragHint,
+    noProject,
+    statusDraft,
+    statusSubmitted,
+    statusApproved,
+    statusRejected,
+    today,
+    month,
+    week,
+    day,
+    allDay,
+    addHours,
+    updateHours,
+    close,
+    template,
+    applyTemplate,
+    startDate,
+    endDate,
+    project,
+    note,
+    breakMinutes,
+    workHours,
+    repeat,
+    frequency,
+    daily,
+    weekly,
+    repeatEveryDays,
+    repeatEveryWeeks,
+    repeatOn,
+    ends,
+    endsAfterCount,
+    endsOnDate,
+    numberOfEntries,
+    endRepeatOn,
+    applyTo,
+    scopeThis,
+    scopeFollowing,
+    scopeAll,
+    deleteButton,
+    saveAsTemplate,
+    templateName,
+    save,
+    confirmDeleteTitle,
+    confirmDeleteMessage,
+    confirmWorkingTimeTitle,
+    confirmWorkingTimeMessage,
+    violationDailyHours,
+    violationWeeklyHours,
+    violationRest,
+    violationConsecutiveDays,
+    invalidDate,
+    nonPositiveDuration,
+    maxDurationExceeded,
+    overlap,
+    weekLocked,
+    invalidBreak,
+    created,
+    updated,
+    deleted,
+    undone,
+    redone,
+    undoUnavailable,
+    submitted,
+    teamReadOnly,
+    calendarReadOnly,
+    clockedIn,
+    clockedOut,
+    timerDiscarded,
+    timerRunning,
+    noEntriesToCopy,
+    templateSaved,
+    templateDeleted,
+    exportHours,
+    exportFrom,
+    exportTo,
+    csvTimesheet,
+    iCalendar,
+    importHours,
+    importFile,
+    importEntries,
+    importNoEntries,
+    importResult,
+    row,
+    start,
+    end,
+    hours,
+    status,
+    statusReady,
+    statusInvalid,
+    statusOverlap,
+    statusImported,
+    statusFailed,
+    copy,
+    copyWeekTitle,
+    copyDayTitle,
+    copyToWeek,
+    copyTo,
+    copyTargetWeek,
+    copyTargetDay,
+    copyEntries,
+    copyResult,
+    unsavedChanges,
+    pendingChanges,
+    rejectedChange,
+    mutationCreate,
+    mutationUpdate,
+    mutationDelete,
+    showChange,
+    discardChange,
+    retrySync,
+    savedOffline,
+    changesSynced,
+    changeRejected,
+    waitingToSync,
+    calendarTab,
+    reportsTab
+};
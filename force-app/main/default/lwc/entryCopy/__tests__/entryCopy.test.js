@@ -0,0 +1,30 @@
+import { shiftEntries, getTemplateStart, applyTemplate, toTemplate, getTemplateEndTime } from 'c/entryCopy';
+
+const TIME_ZONE = 'America/New_York';
+
+describe('c-entry-copy', () => {
+    it('copies entries to another week at the same wall-clock times across a DST change', () => {
+        // 09:00 to 17:00 in New York, the week before the DST change of 2024-03-10
+        const events = [{ start: '2024-03-05T14:00:00.000Z', end: '2024-03-05T22:00:00.000Z', projectId: 'a01', breakMinutes: 30 }];
+
+        const [row] = shiftEntries(events, 7, TIME_ZONE);
+
+        expect(row.start.toISOString()).toBe('2024-03-12T13:00:00.000Z');
+        expect(row.end.toISOString()).toBe('2024-03-12T21:00:00.000Z');
+        expect(row).toEqual(expect.objectContaining({ row: 1, project: 'a01', breakMinutes: 30 }));
+    });
+
+    it('makes an entry from a template and a template from an entry', () => {
+        const template = { startTime: '09:00', durationMinutes: 15, note: 'Standup' };
+
+        const entry = applyTemplate(template, getTemplateStart(template, '2024-03-12', TIME_ZONE));
+
+        expect(entry).toEqual(expect.objectContaining({
+            start: '2024-03-12T13:00:00.000Z',
+            end: '2024-03-12T13:15:00.000Z',
+            note: 'Standup'
+        }));
+        expect(toTemplate(entry, 'Standup', TIME_ZONE)).toEqual(expect.objectContaining({ startTime: '09:00', durationMinutes: 15 }));
+        expect(getTemplateEndTime(template)).toBe('09:15');
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * @description Copies of entries for c-calendar: the entries of a day or a week copied to another day or week,
+ *              and entries made from a saved template (see EntryTemplateController).
+ *              Days are calendar days of the user's time zone, so copies keep their wall-clock times across a DST change.
+ */
+import { toWallClock, fromWallClock, addDays } from 'c/timeZoneUtils';
+
+const MILLISECONDS_PER_MINUTE = 60 * 1000;
+
+/**
+ * @description Copy entries a number of calendar days later, or earlier when negative, at the same wall-clock times.
+ * @param events calendar events with start and end as ISO strings in UTC
+ * @returns one row per entry by start, as { row, start, end, project, projectName, projectColor, note, breakMinutes },
+ *          start and end being Dates like the rows checked by validateImportRows of c-timesheet-import
+ */
+export function shiftEntries(events, days, timeZone) {
+    return [...events]
+        .sort((a, b) => new Date(a.start) - new Date(b.start))
+        .map((event, index) => ({
+            row: index + 1,
+            start: shiftInstant(event.start, days, timeZone),
+            end: shiftInstant(event.end, days, timeZone),
+            project: event.projectId,
+            projectName: event.projectName,
+            projectColor: event.projectColor,
+            note: event.note,
+            breakMinutes: event.breakMinutes || 0,
+            error: null
+        }));
+}
+
+/**
+ * @description Start of a template on a 'YYYY-MM-DD' calendar day, at the template's start time.
+ */
+export function getTemplateStart(template, localDate, timeZone) {
+    return fromWallClock(`${localDate}T${template.startTime}`, timeZone);
+}
+
+/**
+ * @description Entry made from a template, starting at start.
+ * @param template { startTime: 'HH:mm', durationMinutes, breakMinutes, projectId, projectName, projectColor, note }
+ * @returns the fields of the calendar modal, start and end as ISO strings in UTC
+ */
+export function applyTemplate(template, start) {
+    const startTime = new Date(start).getTime();
+    return {
+        start: new Date(startTime).toISOString(),
+        end: new Date(startTime + template.durationMinutes * MILLISECONDS_PER_MINUTE).toISOString(),
+        project: template.projectId || null,
+        projectName: template.projectName || '',
+        projectColor: template.projectColor || null,
+        note: template.note || '',
+        breakMinutes: template.breakMinutes || 0
+    };
+}
+
+/**
+ * @description Template made from an entry of the calendar modal, for EntryTemplateController.saveTemplate.
+ */
+export function toTemplate(event, name, timeZone) {
+    return {
+        name,
+        startTime: toWallClock(event.start, timeZone).slice(11, 16),
+        durationMinutes: Math.round((new Date(event.end) - new Date(event.start)) / MILLISECONDS_PER_MINUTE),
+        breakMinutes: Number(event.breakMinutes) || 0,
+        project: event.project,
+        note: event.note
+    };
+}
+
+/**
+ * @description Wall-clock time a template ends at, as 'HH:mm', for its label.
+ */
+export function getTemplateEndTime(template) {
+    const [hours, minutes] = template.startTime.split(':').map(Number);
+    const endMinutes = (hours * 60 + minutes + template.durationMinutes) % (24 * 60);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(endMinutes / 60))}:${pad(endMinutes % 60)}`;
+}
+
+function shiftInstant(instant, days, timeZone) {
+    const [date, time] = toWallClock(instant, timeZone).split('T');
+    return fromWallClock(`${addDays(date, days)}T${time}`, timeZone);
+}
@@ -0,0 +1,22 @@
+import { getWeekRules, formatLabel, getWeekdayNames, getTimeFormat, getMomentLocale, ISO_WEEK_RULES } from 'c/localization';
+
+describe('c-localization', () => {
+    it('numbers weeks the ISO way where they start on Monday, the US way otherwise', () => {
+        // @salesforce/i18n/firstDayOfWeek counts from Sunday = 1
+        expect(getWeekRules(2)).toEqual(ISO_WEEK_RULES);
+        expect(getWeekRules(1)).toEqual({ firstDay: 0, minimalDays: 1 });
+        expect(getMomentLocale('en-US', getWeekRules(1)).week).toEqual({ dow: 0, doy: 6 });
+        expect(getMomentLocale('de-DE', ISO_WEEK_RULES).week).toEqual({ dow: 1, doy: 4 });
+    });
+
+    it('fills in the placeholders of a label', () => {
+        expect(formatLabel('{0} of {1} entries imported.', 3, 4)).toBe('3 of 4 entries imported.');
+        expect(formatLabel('Week {0}', 12, 'unused')).toBe('Week 12');
+    });
+
+    it('names weekdays from Monday and formats times like the locale', () => {
+        expect(getWeekdayNames('en-US')).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+        expect(getTimeFormat('en-US')).toBe('h:mm A');
+        expect(getTimeFormat('de-DE')).toBe('HH:mm');
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * @description Locale of the Salesforce user for c-calendar: placeholders of Custom Labels, weekday and month names,
+ *              the time format and the week numbering rules.
+ *              Names come from Intl, so moment and FullCalendar don't need their own locale files.
+ */
+
+// week 1 is the week with the first Thursday of the year, weeks starting on Monday
+export const ISO_WEEK_RULES = { firstDay: 1, minimalDays: 4 };
+
+/**
+ * @description Week numbering of a locale: ISO 8601 where weeks start on Monday,
+ *              otherwise week 1 is the week of January 1st, as in the US.
+ * @param firstDayOfWeek from @salesforce/i18n/firstDayOfWeek, 1 = Sunday ... 7 = Saturday
+ * @returns { firstDay, minimalDays }: firstDay 0 = Sunday like FullCalendar and moment,
+ *          minimalDays the days of the new year week 1 has at least
+ */
+export function getWeekRules(firstDayOfWeek) {
+    const firstDay = ((Number(firstDayOfWeek) || 2) - 1) % 7;
+    return firstDay === ISO_WEEK_RULES.firstDay ? ISO_WEEK_RULES : { firstDay, minimalDays: 1 };
+}
+
+/**
+ * @description Fill in the {0}, {1}... placeholders of a Custom Label.
+ */
+export function formatLabel(label, ...values) {
+    return label.replace(/\{(\d+)\}/g, (placeholder, index) => (index < values.length ? String(values[index]) : placeholder));
+}
+
+/**
+ * @returns names of the weekdays from Monday to Sunday
+ * @param format 'long', 'short' or 'narrow'
+ */
+export function getWeekdayNames(locale, format = 'short') {
+    const formatter = new Intl.DateTimeFormat(locale, { weekday: format, timeZone: 'UTC' });
+    // 2024-01-01 is a Monday
+    return [0, 1, 2, 3, 4, 5, 6].map(index => formatter.format(Date.UTC(2024, 0, 1 + index)));
+}
+
+/**
+ * @returns names of the months from January to December
+ * @param format 'long' or 'short'
+ */
+export function getMonthNames(locale, format = 'long') {
+    const formatter = new Intl.DateTimeFormat(locale, { month: format, timeZone: 'UTC' });
+    return [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map(month => formatter.format(Date.UTC(2024, month, 1)));
+}
+
+/**
+ * @returns moment format of a time of the day, 'h:mm A' where the locale uses a 12-hour clock, otherwise 'HH:mm'
+ */
+export function getTimeFormat(locale) {
+    return new Intl.DateTimeFormat(locale, { hour: 'numeric' }).resolvedOptions().hour12 ? 'h:mm A' : 'HH:mm';
+}
+
+/**
+ * @description Locale configuration for moment.defineLocale, on top of moment's English:
+ *              names, time format and week numbering. FullCalendar takes them from moment.
+ */
+export function getMomentLocale(locale, weekRules) {
+    // moment lists weekdays from Sunday
+    const fromSunday = names => [names[6], ...names.slice(0, 6)];
+    return {
+        parentLocale: 'en',
+        months: getMonthNames(locale, 'long'),
+        monthsShort: getMonthNames(locale, 'short'),
+        weekdays: fromSunday(getWeekdayNames(locale, 'long')),
+        weekdaysShort: fromSunday(getWeekdayNames(locale, 'short')),
+        weekdaysMin: fromSunday(getWeekdayNames(locale, 'narrow')),
+        longDateFormat: { LT: getTimeFormat(locale) },
+        // doy: 7 + dow - the days of the new year week 1 has at least, see https://momentjs.com/docs/#/customization/dow-doy/
+        week: { dow: weekRules.firstDay, doy: 7 + weekRules.firstDay - weekRules.minimalDays }
+    };
+}
@@ -0,0 +1,72 @@
+import {
+    readQueue,
+    writeQueue,
+    createMutation,
+    getNextMutation,
+    markFailed,
+    markRejected,
+    isConnectivityError,
+    acquireLease,
+    releaseLease,
+    applyMutations,
+    MUTATION_TYPE,
+    MUTATION_STATUS,
+    LEASE_DURATION
+} from 'c/mutationQueue';
+
+const USER_ID = '005000000000001';
+const NOW = Date.parse('2024-03-18T09:00:00.000Z');
+
+describe('c-mutation-queue', () => {
+    afterEach(() => {
+        localStorage.clear();
+    });
+
+    it('keeps the queue in storage and retries with backoff', () => {
+        const create = createMutation(MUTATION_TYPE.create, { event: '{}' }, {}, NOW);
+        const update = createMutation(MUTATION_TYPE.update, { eventId: 'a00', event: '{}' }, {}, NOW);
+        writeQueue(localStorage, USER_ID, [create, update]);
+
+        let queue = readQueue(localStorage, USER_ID);
+        queue = markFailed(queue, create.id, NOW);
+        queue = markFailed(queue, create.id, NOW);
+
+        expect(queue[0]).toEqual(expect.objectContaining({ attempts: 2, nextAttemptAt: NOW + 4000 }));
+        // a rejected change doesn't hold up the next one
+        queue = markRejected(queue, create.id, 'This entry overlaps another entry.');
+        expect(getNextMutation(queue).id).toBe(update.id);
+        expect(queue[0].status).toBe(MUTATION_STATUS.rejected);
+    });
+
+    it('tells a lost connection from an error of the server', () => {
+        expect(isConnectivityError({ body: { message: 'Disconnected or Canceled' }, status: 500 })).toBe(true);
+        expect(isConnectivityError({ status: 400, body: { message: 'Invalid' } }, false)).toBe(true);
+        expect(isConnectivityError({}, true)).toBe(true);
+        expect(isConnectivityError({ status: 500, body: { message: '{"code":"OVERLAP"}' } }, true)).toBe(false);
+    });
+
+    it('lets one tab at a time send the queue', () => {
+        expect(acquireLease(localStorage, USER_ID, 'tab1', NOW)).toBe(true);
+        expect(acquireLease(localStorage, USER_ID, 'tab2', NOW)).toBe(false);
+        expect(acquireLease(localStorage, USER_ID, 'tab2', NOW + LEASE_DURATION + 1)).toBe(true);
+
+        releaseLease(localStorage, USER_ID, 'tab2');
+        expect(acquireLease(localStorage, USER_ID, 'tab1', NOW + LEASE_DURATION + 1)).toBe(true);
+    });
+
+    it('shows the queued changes on the fetched events', () => {
+        const events = [
+            { id: 'a00', start: '2024-03-18T09:00:00.000Z', end: '2024-03-18T17:00:00.000Z', note: '' },
+            { id: 'a01', start: '2024-03-19T09:00:00.000Z', end: '2024-03-19T17:00:00.000Z', note: '' }
+        ];
+        const update = createMutation(MUTATION_TYPE.update, { eventId: 'a00' }, { end: '2024-03-18T12:00:00.000Z', note: 'Short day' }, NOW);
+        const remove = createMutation(MUTATION_TYPE.delete, { eventId: 'a01' }, null, NOW);
+        const create = createMutation(MUTATION_TYPE.create, {}, { start: '2024-03-20T09:00:00.000Z', end: '2024-03-20T10:00:00.000Z' }, NOW);
+
+        const [updated, deleted, created] = applyMutations(events, [update, remove, create]);
+
+        expect(updated).toEqual(expect.objectContaining({ id: 'a00', end: '2024-03-18T12:00:00.000Z', note: 'Short day', pending: true }));
+        expect(deleted).toEqual(expect.objectContaining({ id: 'a01', deleted: true, mutationId: remove.id }));
+        expect(created).toEqual(expect.objectContaining({ id: `pending-${create.id}`, start: '2024-03-20T09:00:00.000Z' }));
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * @description Queue of the creates, updates and deletes of c-calendar, kept in the browser's storage so a change survives
+ *              a lost connection, a reload or a closed tab. Changes are sent in order and retried with backoff;
+ *              those the server rejects stay in the queue, set aside, until the user fixes or discards them.
+ *              The queue is stored per user and shared by the open tabs, and only the tab holding the lease sends it,
+ *              so the same change isn't sent twice.
+ */
+
+export const MUTATION_TYPE = {
+    create: 'create',
+    update: 'update',
+    delete: 'delete'
+};
+export const MUTATION_STATUS = {
+    pending: 'pending',
+    rejected: 'rejected'
+};
+// how long a tab keeps the lease without renewing it, so a closed tab doesn't hold the queue
+export const LEASE_DURATION = 30 * 1000;
+
+const QUEUE_KEY_PREFIX = 'c-calendar.mutationQueue.';
+const LEASE_KEY_PREFIX = 'c-calendar.mutationQueueLease.';
+const MIN_RETRY_DELAY = 2 * 1000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+// message of an Apex call the browser could not deliver or got no answer for
+const DISCONNECTED_MESSAGE = 'Disconnected or Canceled';
+
+/**
+ * @returns the queued changes of the user, oldest first
+ */
+export function readQueue(storage, userId) {
+    return readJson(storage, QUEUE_KEY_PREFIX + userId) || [];
+}
+
+export function writeQueue(storage, userId, mutations) {
+    if (mutations.length) {
+        storage.setItem(QUEUE_KEY_PREFIX + userId, JSON.stringify(mutations));
+    } else {
+        storage.removeItem(QUEUE_KEY_PREFIX + userId);
+    }
+}
+
+/**
+ * @description A change to send.
+ * @param params the parameters of the CalendarController method of the type: { event } to create,
+ *               { eventId, event, scope } to update and { eventId, scope } to delete
+ * @param preview the entry as shown on the calendar while the change waits, a calendar event with start and end in UTC
+ */
+export function createMutation(type, params, preview, now) {
+    return {
+        id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        type,
+        params,
+        preview,
+        status: MUTATION_STATUS.pending,
+        attempts: 0,
+        nextAttemptAt: now,
+        error: null
+    };
+}
+
+/**
+ * @returns the oldest change still to send, or undefined. Rejected changes don't hold up the ones after them.
+ */
+export function getNextMutation(mutations) {
+    return mutations.find(mutation => mutation.status === MUTATION_STATUS.pending);
+}
+
+export function hasPendingMutations(mutations) {
+    return !!getNextMutation(mutations);
+}
+
+/**
+ * @description Delay before the next attempt, doubling from 2 seconds up to 5 minutes.
+ */
+export function getRetryDelay(attempts) {
+    return Math.min(MIN_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+/**
+ * @description Schedule another attempt of a change that could not reach the server.
+ */
+export function markFailed(mutations, id, now) {
+    return updateMutation(mutations, id, mutation => {
+        const attempts = mutation.attempts + 1;
+        return { ...mutation, attempts, nextAttemptAt: now + getRetryDelay(attempts) };
+    });
+}
+
+/**
+ * @description Set aside a change the server refused, e.g. an overlap or a locked week, with the reason.
+ */
+export function markRejected(mutations, id, message) {
+    return updateMutation(mutations, id, mutation => ({ ...mutation, status: MUTATION_STATUS.rejected, error: message }));
+}
+
+/**
+ * @description Try the pending changes again now, when the connection is back.
+ */
+export function resetRetries(mutations, now) {
+    return mutations.map(mutation => mutation.status === MUTATION_STATUS.pending ? { ...mutation, nextAttemptAt: now } : mutation);
+}
+
+export function removeMutation(mutations, id) {
+    return mutations.filter(mutation => mutation.id !== id);
+}
+
+/**
+ * @returns true if the Apex call failed without an answer of the server, so the change may be sent again.
+ *          Errors of the server, such as validation errors, come with an HTTP status.
+ */
+export function isConnectivityError(error, online) {
+    if (online === false || !error || !error.status) {
+        return true;
+    }
+    return !!error.body && error.body.message === DISCONNECTED_MESSAGE;
+}
+
+/**
+ * @description Take or renew the lease on sending the queue, unless another tab holds it.
+ * @returns true if tabId holds the lease
+ */
+export function acquireLease(storage, userId, tabId, now) {
+    const lease = readJson(storage, LEASE_KEY_PREFIX + userId);
+    if (lease && lease.tabId !== tabId && lease.expiresAt > now) {
+        return false;
+    }
+    storage.setItem(LEASE_KEY_PREFIX + userId, JSON.stringify({ tabId, expiresAt: now + LEASE_DURATION }));
+    return true;
+}
+
+export function releaseLease(storage, userId, tabId) {
+    const lease = readJson(storage, LEASE_KEY_PREFIX + userId);
+    if (lease && lease.tabId === tabId) {
+        storage.removeItem(LEASE_KEY_PREFIX + userId);
+    }
+}
+
+/**
+ * @description The fetched events as they will be once the queued changes are saved: a new entry is added,
+ *              a changed entry gets its new values and a deleted one is kept, flagged, until the deletion is saved.
+ *              Queued entries are flagged pending, or rejected with the error, and carry the id of their change.
+ * @param events calendar events with start and end in UTC
+ */
+export function applyMutations(events, mutations) {
+    let result = events;
+    mutations.forEach(mutation => {
+        const flags = {
+            pending: mutation.status === MUTATION_STATUS.pending,
+            rejected: mutation.status === MUTATION_STATUS.rejected,
+            error: mutation.error,
+            mutationId: mutation.id
+        };
+        if (mutation.type === MUTATION_TYPE.create) {
+            result = [...result, { ...mutation.preview, ...flags, id: `pending-${mutation.id}` }];
+            return;
+        }
+        result = result.map(event => {
+            if (event.id !== mutation.params.eventId) {
+                return event;
+            }
+            return mutation.type === MUTATION_TYPE.update
+                ? { ...event, ...mutation.preview, ...flags, id: event.id }
+                : { ...event, ...flags, deleted: true };
+        });
+    });
+    return result;
+}
+
+function updateMutation(mutations, id, update) {
+    return mutations.map(mutation => mutation.id === id ? update(mutation) : mutation);
+}
+
+function readJson(storage, key) {
+    try {
+        return JSON.parse(storage.getItem(key));
+    } catch (e) {
+        return null;
+    }
+}
@@ -9,17 +9,67 @@ describe('c-notification', () => {
         }
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
+    it('runs the action of a toast and closes it', () => {
         // Arrange
         const element = createElement('c-notification', {
             is: Notification
         });
+        document.body.appendChild(element);
+        const callback = jest.fn();
+
+        // Act
+        element.showToast('Your record is deleted!', 'success', { actions: [{ label: 'Undo', callback }] });
+
+        // Assert
+        return Promise.resolve()
+            .then(() => {
+                element.shadowRoot.querySelector('lightning-button').click();
+            })
+            .then(() => {
+                expect(callback).toHaveBeenCalledTimes(1);
+                expect(element.shadowRoot.querySelectorAll('.slds-notify_toast').length).toBe(0);
+            });
+    });
+
+    it('stacks toasts and reads the message of an AuraHandledException', () => {
+        // Arrange
+        const element = createElement('c-notification', {
+            is: Notification
+        });
+        document.body.appendChild(element);
 
         // Act
+        element.showToast('Your record is created!', 'success');
+        element.showError({ body: { message: 'Insufficient access' } });
+
+        // Assert
+        return Promise.resolve().then(() => {
+            const toasts = element.shadowRoot.querySelectorAll('.slds-notify_toast');
+            expect(toasts.length).toBe(2);
+            expect(toasts[1].textContent).toContain('Insufficient access');
+            expect(toasts[1].getAttribute('role')).toBe('alert');
+        });
+    });
+
+    it('keeps error toasts until they are closed', () => {
+        jest.useFakeTimers();
+        // Arrange
+        const element = createElement('c-notification', {
+            is: Notification
+        });
         document.body.appendChild(element);
 
+        // Act
+        element.showToast('Your record is updated!', 'success', { duration: 1000 });
+        element.showToast('This entry overlaps another entry.', 'error');
+        jest.advanceTimersByTime(1000);
+
         // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        return Promise.resolve().then(() => {
+            const toasts = element.shadowRoot.querySelectorAll('.slds-notify_toast');
+            expect(toasts.length).toBe(1);
+            expect(toasts[0].textContent).toContain('overlaps');
+            jest.useRealTimers();
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,19 @@
+/**
+ * @description Custom Labels of c-notification, see labels/CustomLabels.labels-meta.xml.
+ *              {0}, {1}... in a label are filled in with formatLabel of c/localization.
+ */
+import defaultError from '@salesforce/label/c.Notification_DefaultError';
+import close from '@salesforce/label/c.Notification_Close';
+import success from '@salesforce/label/c.Notification_Success';
+import warning from '@salesforce/label/c.Notification_Warning';
+import error from '@salesforce/label/c.Notification_Error';
+import info from '@salesforce/label/c.Notification_Info';
+
+export default {
+    defaultError,
+    close,
+    success,
+    warning,
+    error,
+    info
+};
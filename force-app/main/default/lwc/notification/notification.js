@@ -1,24 +1,129 @@
-import { LightningElement, api } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
+import LABELS from './labels';
+
+const DEFAULT_DURATION = 5000;
+const MAX_TOASTS = 5; // the oldest toast is dismissed when another one would exceed this
+const VARIANT_ICON = {
+    success: 'utility:success',
+    warning: 'utility:warning',
+    error: 'utility:error',
+    info: 'utility:info'
+};
+
+let toastId = 0;
+
+/**
+ * @description Read a readable message from an error thrown by Apex or a promise.
+ *              AuraHandledException messages are in error.body.message; DML errors in pageErrors or fieldErrors.
+ *              Structured validation errors of CalendarController are JSON { code, field, message }.
+ */
+function getErrorMessage(error) {
+    if (!error) {
+        return LABELS.defaultError;
+    }
+    if (typeof error === 'string') {
+        return error;
+    }
+    if (Array.isArray(error.body)) {
+        return error.body.map(item => item.message).filter(Boolean).join(', ') || LABELS.defaultError;
+    }
+
+    const body = error.body || {};
+    if (body.message) {
+        try {
+            const validationError = JSON.parse(body.message);
+            if (validationError && validationError.message) {
+                return validationError.message;
+            }
+        } catch (e) {
+            // not a structured validation error, show the message as it is
+        }
+        return body.message;
+    }
+    if (body.pageErrors && body.pageErrors.length) {
+        return body.pageErrors.map(pageError => pageError.message).join(', ');
+    }
+    if (body.fieldErrors) {
+        const fieldErrors = Object.values(body.fieldErrors).flat();
+        if (fieldErrors.length) {
+            return fieldErrors.map(fieldError => fieldError.message).join(', ');
+        }
+    }
+    return error.message || LABELS.defaultError;
+}
 
 export default class Notification extends LightningElement {
-    showNotification = false;
-    message;
-    variant;
-
-    get notifyClasses() {
-        let variantClass =
-            this.variant === 'success' ? 'slds-theme_success' :
-                this.variant === 'warning' ? 'slds-theme_warning' :
-                    this.variant === 'error' ? 'slds-theme_error' : 'slds-theme_info';
-        return `slds-notify slds-notify_toast ${variantClass}`;
-    }
-
-    @api showToast(message, variant) {
-        this.message = message || "Please pass your message";
-        this.variant = variant || 'success';
-        this.showNotification = true;
-        setTimeout(() => {
-            this.showNotification = false;
-        }, 5000);
-    }
-}
\ No newline at end of file
+    label = LABELS;
+    @track toasts = [];
+    timers = new Map(); // toast id => timeout that dismisses it
+
+    disconnectedCallback() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * @description Add a toast to the stack.
+     * @param options { duration, sticky, actions }: a sticky toast stays until it is closed,
+     *                error toasts are sticky unless sticky is false.
+     *                Actions are { label, callback } buttons that run the callback and close the toast.
+     * @returns the id of the toast, for dismissToast
+     */
+    @api showToast(message, variant, options = {}) {
+        const toastVariant = VARIANT_ICON[variant] ? variant : 'success';
+        const sticky = options.sticky !== undefined ? options.sticky : toastVariant === 'error';
+        const id = ++toastId;
+
+        const toast = {
+            id,
+            message: message || "Please pass your message",
+            variant: toastVariant,
+            iconName: VARIANT_ICON[toastVariant],
+            iconAlternativeText: LABELS[toastVariant],
+            classes: `slds-notify slds-notify_toast slds-theme_${toastVariant}`,
+            // errors interrupt the screen reader, other toasts are read when it is idle
+            role: toastVariant === 'error' ? 'alert' : 'status',
+            actions: (options.actions || []).filter(Boolean).map((action, index) => ({ ...action, key: `${id}-${index}` }))
+        };
+
+        const toasts = [...this.toasts, toast];
+        toasts.slice(0, Math.max(toasts.length - MAX_TOASTS, 0)).forEach(oldToast => this.clearTimer(oldToast.id));
+        this.toasts = toasts.slice(-MAX_TOASTS);
+
+        if (!sticky) {
+            this.timers.set(id, setTimeout(() => this.dismissToast(id), options.duration || DEFAULT_DURATION));
+        }
+        return id;
+    }
+
+    /**
+     * @description Show the message of an Apex or JavaScript error as an error toast.
+     */
+    @api showError(error, options) {
+        return this.showToast(getErrorMessage(error), 'error', options);
+    }
+
+    @api dismissToast(id) {
+        this.clearTimer(id);
+        this.toasts = this.toasts.filter(toast => toast.id !== id);
+    }
+
+    clearTimer(id) {
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+    }
+
+    closeHandler(event) {
+        this.dismissToast(Number(event.currentTarget.dataset.id));
+    }
+
+    actionHandler(event) {
+        const { id, key } = event.currentTarget.dataset;
+        const toast = this.toasts.find(item => item.id === Number(id));
+        const action = toast && toast.actions.find(item => item.key === key);
+        this.dismissToast(Number(id));
+        if (action && action.callback) {
+            action.callback();
+        }
+    }
+}
@@ -0,0 +1,26 @@
+import { createElement } from 'lwc';
+import ProjectPicker from 'c/projectPicker';
+
+describe('c-project-picker', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('shows the label of the selected project in the search box', () => {
+        // Arrange
+        const element = createElement('c-project-picker', {
+            is: ProjectPicker
+        });
+        element.selectedLabel = 'ACME-101 - Website';
+
+        // Act
+        document.body.appendChild(element);
+
+        // Assert
+        const input = element.shadowRoot.querySelector('lightning-input');
+        expect(input.value).toBe('ACME-101 - Website');
+    });
+});
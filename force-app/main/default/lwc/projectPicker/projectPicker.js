@@ -0,0 +1,96 @@
+import { LightningElement, api } from 'lwc';
+import searchProjects from '@salesforce/apex/CalendarController.searchProjects';
+
+const SEARCH_DELAY = 300;
+
+/**
+ * @description Searchable picker of active Project__c records.
+ *              Fires projectchange with { value, label, color } when a project is picked or the search is cleared.
+ */
+export default class ProjectPicker extends LightningElement {
+    @api label = 'Project';
+    @api value; // Id of the selected project
+
+    searchTerm = '';
+    projects = [];
+    isOpen = false;
+    isLoading = false;
+    searchTimeout;
+
+    // label of the selected project, shown in the search box
+    @api
+    get selectedLabel() {
+        return this.searchTerm;
+    }
+    set selectedLabel(value) {
+        this.searchTerm = value || '';
+    }
+
+    get dropdownClasses() {
+        return `slds-combobox slds-dropdown-trigger slds-dropdown-trigger_click${this.isOpen ? ' slds-is-open' : ''}`;
+    }
+
+    get hasNoResults() {
+        return !this.isLoading && this.projects.length === 0;
+    }
+
+    focusHandler() {
+        this.isOpen = true;
+        this.search();
+    }
+
+    blurHandler() {
+        this.isOpen = false;
+    }
+
+    searchHandler(event) {
+        this.searchTerm = event.target.value;
+        if (!this.searchTerm && this.value) {
+            this.dispatchProjectChange(null);
+        }
+
+        // debounce the Apex call while the user is typing
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => this.search(), SEARCH_DELAY);
+    }
+
+    search() {
+        this.isLoading = true;
+        searchProjects({ 'searchTerm': this.searchTerm })
+            .then(data => {
+                this.projects = data.map(project => ({
+                    id: project.Id,
+                    label: project.Code__c ? `${project.Code__c} - ${project.Name}` : project.Name,
+                    color: project.Color__c,
+                    swatchStyle: `background-color: ${project.Color__c}`
+                }));
+                this.isLoading = false;
+            })
+            .catch(error => {
+                console.error('Error occured on searchProjects', error);
+                this.projects = [];
+                this.isLoading = false;
+            });
+    }
+
+    selectHandler(event) {
+        const project = this.projects.find(item => item.id === event.currentTarget.dataset.id);
+        this.searchTerm = project.label;
+        this.isOpen = false;
+        this.dispatchProjectChange(project);
+    }
+
+    dispatchProjectChange(project) {
+        this.dispatchEvent(new CustomEvent('projectchange', {
+            detail: {
+                value: project ? project.id : null,
+                label: project ? project.label : '',
+                color: project ? project.color : null
+            }
+        }));
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.searchTimeout);
+    }
+}
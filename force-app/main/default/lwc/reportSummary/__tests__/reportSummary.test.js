@@ -0,0 +1,44 @@
+import { getPresetPeriod, getPreviousPeriod, getMonthlyTotals, getWeeklyTotals, getAverages, compare, buildBarChart, buildLineChart, PERIOD_PRESET } from 'c/reportSummary';
+
+describe('c-report-summary', () => {
+    it('finds the preset periods around today', () => {
+        expect(getPresetPeriod(PERIOD_PRESET.thisMonth, '2024-02-14')).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+        expect(getPresetPeriod(PERIOD_PRESET.lastMonth, '2024-01-14')).toEqual({ start: '2023-12-01', end: '2023-12-31' });
+        expect(getPresetPeriod(PERIOD_PRESET.lastYear, '2024-01-14')).toEqual({ start: '2023-01-01', end: '2023-12-31' });
+        expect(getMonthlyTotals({ '2024-03': 12.5 }, '2024-02-15', '2024-03-10')).toEqual([
+            { month: '2024-02', hours: 0 },
+            { month: '2024-03', hours: 12.5 }
+        ]);
+    });
+
+    it('compares a month or a year with the one before, and other periods with as many days before', () => {
+        expect(getPreviousPeriod('2024-03-01', '2024-03-31')).toEqual({ start: '2024-02-01', end: '2024-02-29' });
+        expect(getPreviousPeriod('2024-01-01', '2024-12-31')).toEqual({ start: '2023-01-01', end: '2023-12-31' });
+        expect(getPreviousPeriod('2024-03-18', '2024-03-24')).toEqual({ start: '2024-03-11', end: '2024-03-17' });
+        expect(compare(12.5, 10)).toEqual({ difference: 2.5, percentage: 25 });
+        expect(compare(3, 0)).toEqual({ difference: 3, percentage: null });
+    });
+
+    it('totals the weeks and averages the hours of the period', () => {
+        const report = { totalHours: 12.5, entryCount: 2, days: { '2024-03-19': 8, '2024-03-26': 4.5 } };
+
+        expect(getWeeklyTotals(report.days, '2024-03-18', '2024-03-31')).toEqual([
+            { weekStart: '2024-03-18', hours: 8 },
+            { weekStart: '2024-03-25', hours: 4.5 }
+        ]);
+        expect(getAverages(report, '2024-03-18', '2024-03-31')).toEqual({
+            total: 12.5,
+            perDay: 0.89,
+            perWorkedDay: 6.25,
+            perWeek: 6.25,
+            perEntry: 6.25
+        });
+    });
+
+    it('scales the charts to the highest value', () => {
+        const items = [{ key: 'a', hours: 8 }, { key: 'b', hours: 4 }];
+
+        expect(buildBarChart(items, 200, 100)[1]).toEqual(expect.objectContaining({ x: 110, y: 50, width: 80, height: 50 }));
+        expect(buildLineChart(items, 200, 100).points).toBe('0,0 200,50');
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * @description Figures and charts of c-time-report, from the totals of CalendarController.fetchReport:
+ *              the previous period to compare with, weekly totals, averages and the geometry of the SVG charts.
+ *              Days are 'YYYY-MM-DD' calendar days of the user's time zone, and a period includes its first and last day.
+ */
+import { addDays, daysBetween, getWeekStart } from 'c/timeZoneUtils';
+
+const DAYS_PER_WEEK = 7;
+
+export const PERIOD_PRESET = {
+    thisMonth: 'thisMonth',
+    lastMonth: 'lastMonth',
+    thisYear: 'thisYear',
+    lastYear: 'lastYear'
+};
+
+/**
+ * @returns { start, end } of a preset period containing or before today, a 'YYYY-MM-DD' day
+ */
+export function getPresetPeriod(preset, today) {
+    const monthStart = `${today.slice(0, 7)}-01`;
+    const yearStart = `${today.slice(0, 4)}-01-01`;
+    if (preset === PERIOD_PRESET.lastMonth) {
+        return { start: addMonths(monthStart, -1), end: addDays(monthStart, -1) };
+    }
+    if (preset === PERIOD_PRESET.thisYear) {
+        return { start: yearStart, end: addDays(addMonths(yearStart, 12), -1) };
+    }
+    if (preset === PERIOD_PRESET.lastYear) {
+        return { start: addMonths(yearStart, -12), end: addDays(yearStart, -1) };
+    }
+    return { start: monthStart, end: addDays(addMonths(monthStart, 1), -1) };
+}
+
+/**
+ * @description The period of the same length ending the day before start, e.g. the previous month for a month
+ *              or the previous year for a year.
+ */
+export function getPreviousPeriod(start, end) {
+    if (isWholeMonths(start, end)) {
+        const months = monthsBetween(start, end);
+        return { start: addMonths(start, -months), end: addDays(start, -1) };
+    }
+    const days = daysBetween(start, end) + 1;
+    return { start: addDays(start, -days), end: addDays(start, -1) };
+}
+
+/**
+ * @returns every day of the period with its hours, 0 for days without entries
+ * @param days hours keyed by day, as in the Report of fetchReport
+ */
+export function getDailyTotals(days, start, end) {
+    const totals = [];
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+        totals.push({ day, hours: days[day] || 0 });
+    }
+    return totals;
+}
+
+/**
+ * @returns the hours of each week of the period by its Monday, weeks without entries included
+ */
+export function getWeeklyTotals(days, start, end) {
+    const weeks = new Map();
+    for (let weekStart = getWeekStart(start); weekStart <= end; weekStart = addDays(weekStart, DAYS_PER_WEEK)) {
+        weeks.set(weekStart, 0);
+    }
+    Object.keys(days).forEach(day => {
+        const weekStart = getWeekStart(day);
+        if (weeks.has(weekStart)) {
+            weeks.set(weekStart, weeks.get(weekStart) + days[day]);
+        }
+    });
+    return [...weeks].map(([weekStart, hours]) => ({ weekStart, hours: round(hours) }));
+}
+
+/**
+ * @returns the hours of each month of the period as { month: 'YYYY-MM', hours }, months without entries included
+ * @param months hours keyed by 'YYYY-MM', as in the Report of fetchReport
+ */
+export function getMonthlyTotals(months, start, end) {
+    const totals = [];
+    for (let month = `${start.slice(0, 7)}-01`; month <= end; month = addMonths(month, 1)) {
+        const key = month.slice(0, 7);
+        totals.push({ month: key, hours: months[key] || 0 });
+    }
+    return totals;
+}
+
+/**
+ * @returns { total, perDay, perWorkedDay, perWeek, perEntry } of a Report over the period, rounded to 2 decimals
+ */
+export function getAverages(report, start, end) {
+    const days = daysBetween(start, end) + 1;
+    const workedDays = Object.values(report.days).filter(hours => hours > 0).length;
+    return {
+        total: round(report.totalHours),
+        perDay: round(report.totalHours / days),
+        perWorkedDay: workedDays ? round(report.totalHours / workedDays) : 0,
+        perWeek: round(report.totalHours / days * DAYS_PER_WEEK),
+        perEntry: report.entryCount ? round(report.totalHours / report.entryCount) : 0
+    };
+}
+
+/**
+ * @returns the change from previous to current, in hours and in percent; the percentage is null without previous hours
+ */
+export function compare(current, previous) {
+    return {
+        difference: round(current - previous),
+        percentage: previous ? Math.round((current - previous) / previous * 100) : null
+    };
+}
+
+/**
+ * @description Bars of a chart drawn in a viewBox of width by height, one per value, as high as the value
+ *              compared with the highest one.
+ * @param items { key, label, hours }
+ * @returns the items with the x, y, width and height of their bar
+ */
+export function buildBarChart(items, width, height) {
+    const max = Math.max(...items.map(item => item.hours), 0);
+    const slot = items.length ? width / items.length : 0;
+    return items.map((item, index) => {
+        const barHeight = max ? item.hours / max * height : 0;
+        return {
+            ...item,
+            x: round(index * slot + slot * 0.1),
+            y: round(height - barHeight),
+            width: round(slot * 0.8),
+            height: round(barHeight)
+        };
+    });
+}
+
+/**
+ * @description Line through the values of a chart drawn in a viewBox of width by height, for the points of an SVG polyline.
+ * @param items { key, label, hours }
+ * @returns { points, dots }, the dots being the items with the cx and cy of their point
+ */
+export function buildLineChart(items, width, height) {
+    const max = Math.max(...items.map(item => item.hours), 0);
+    const step = items.length > 1 ? width / (items.length - 1) : 0;
+    const dots = items.map((item, index) => ({
+        ...item,
+        cx: round(items.length > 1 ? index * step : width / 2),
+        cy: round(max ? height - item.hours / max * height : height)
+    }));
+    return { points: dots.map(dot => `${dot.cx},${dot.cy}`).join(' '), dots };
+}
+
+function isWholeMonths(start, end) {
+    return start.endsWith('-01') && addDays(end, 1).endsWith('-01');
+}
+
+function monthsBetween(start, end) {
+    const next = addDays(end, 1);
+    return (Number(next.slice(0, 4)) - Number(start.slice(0, 4))) * 12 + Number(next.slice(5, 7)) - Number(start.slice(5, 7));
+}
+
+function addMonths(localDate, months) {
+    const date = new Date(`${localDate}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return date.toISOString().slice(0, 10);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
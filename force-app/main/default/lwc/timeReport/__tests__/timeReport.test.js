@@ -0,0 +1,88 @@
+import { createElement } from 'lwc';
+import TimeReport from 'c/timeReport';
+import fetchReport from '@salesforce/apex/CalendarController.fetchReport';
+
+jest.mock(
+    '@salesforce/apex/CalendarController.fetchReport',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const emptyReport = () => ({ totalHours: 0, regularHours: 0, overtimeHours: 0, expectedHours: 0, entryCount: 0, days: {}, months: {}, weekdays: {}, projects: [], users: [] });
+
+describe('c-time-report', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('charts the period and totals it by project', async () => {
+        // Arrange
+        fetchReport.mockResolvedValueOnce({
+            ...emptyReport(),
+            totalHours: 8,
+            regularHours: 8,
+            entryCount: 1,
+            days: { '2024-03-19': 8 },
+            months: { '2024-03': 8 },
+            weekdays: { '2': 8 },
+            projects: [{ id: null, name: null, color: null, hours: 8, entryCount: 1 }],
+            users: [{ id: '005000000000001', name: 'Jordan Lee', hours: 8, entryCount: 1 }]
+        });
+        fetchReport.mockResolvedValueOnce(emptyReport());
+        const element = createElement('c-time-report', {
+            is: TimeReport
+        });
+
+        // Act
+        document.body.appendChild(element);
+        await flushPromises();
+
+        // Assert
+        expect(fetchReport).toHaveBeenCalledTimes(2);
+        expect(fetchReport.mock.calls[0][0].teamMode).toBe(false);
+        expect(element.shadowRoot.querySelectorAll('rect.report-bar').length).toBeGreaterThanOrEqual(28);
+        expect(element.shadowRoot.querySelectorAll('tbody tr').length).toBeGreaterThan(0);
+        expect(element.shadowRoot.textContent).toContain('Jordan Lee');
+    });
+
+    it('reports on the team once the team mode is on', async () => {
+        // Arrange
+        fetchReport.mockResolvedValue(emptyReport());
+        const element = createElement('c-time-report', {
+            is: TimeReport
+        });
+        document.body.appendChild(element);
+        await flushPromises();
+
+        // Act
+        element.teamMode = true;
+        await flushPromises();
+
+        // Assert
+        expect(fetchReport).toHaveBeenCalledTimes(4);
+        expect(fetchReport.mock.calls[2][0].teamMode).toBe(true);
+    });
+
+    it('asks for a shorter period when it has too many entries', async () => {
+        // Arrange
+        fetchReport.mockRejectedValue({
+            body: { message: JSON.stringify({ code: 'REPORT_TOO_LARGE', field: 'end', message: 'Too many entries' }) }
+        });
+        const element = createElement('c-time-report', {
+            is: TimeReport
+        });
+
+        // Act
+        document.body.appendChild(element);
+        await flushPromises();
+
+        // Assert
+        expect(element.shadowRoot.querySelector('p.slds-text-color_error').textContent).toBe('c.TimeReport_ReportTooLarge');
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @description Custom Labels of c-time-report, see labels/CustomLabels.labels-meta.xml.
+ *              {0}, {1}... in a label are filled in with formatLabel of c/localization.
+ */
+import period from '@salesforce/label/c.TimeReport_Period';
+import thisMonth from '@salesforce/label/c.TimeReport_ThisMonth';
+import lastMonth from '@salesforce/label/c.TimeReport_LastMonth';
+import thisYear from '@salesforce/label/c.TimeReport_ThisYear';
+import lastYear from '@salesforce/label/c.TimeReport_LastYear';
+import custom from '@salesforce/label/c.TimeReport_Custom';
+import from from '@salesforce/label/c.TimeReport_From';
+import to from '@salesforce/label/c.TimeReport_To';
+import totalHours from '@salesforce/label/c.TimeReport_TotalHours';
+import regularHours from '@salesforce/label/c.TimeReport_RegularHours';
+import overtimeHours from '@salesforce/label/c.TimeReport_OvertimeHours';
+import expectedHours from '@salesforce/label/c.TimeReport_ExpectedHours';
+import difference from '@salesforce/label/c.TimeReport_Difference';
+import entries from '@salesforce/label/c.TimeReport_Entries';
+import perWorkedDay from '@salesforce/label/c.TimeReport_PerWorkedDay';
+import perWeek from '@salesforce/label/c.TimeReport_PerWeek';
+import previousPeriod from '@salesforce/label/c.TimeReport_PreviousPeriod';
+import comparison from '@salesforce/label/c.TimeReport_Comparison';
+import comparisonNoPercent from '@salesforce/label/c.TimeReport_ComparisonNoPercent';
+import comparisonCount from '@salesforce/label/c.TimeReport_ComparisonCount';
+import comparisonCountNoPercent from '@salesforce/label/c.TimeReport_ComparisonCountNoPercent';
+import dailyHours from '@salesforce/label/c.TimeReport_DailyHours';
+import weeklyTrend from '@salesforce/label/c.TimeReport_WeeklyTrend';
+import byMonth from '@salesforce/label/c.TimeReport_ByMonth';
+import byWeekday from '@salesforce/label/c.TimeReport_ByWeekday';
+import byProject from '@salesforce/label/c.TimeReport_ByProject';
+import byUser from '@salesforce/label/c.TimeReport_ByUser';
+import month from '@salesforce/label/c.TimeReport_Month';
+import weekday from '@salesforce/label/c.TimeReport_Weekday';
+import project from '@salesforce/label/c.TimeReport_Project';
+import user from '@salesforce/label/c.TimeReport_User';
+import hours from '@salesforce/label/c.TimeReport_Hours';
+import share from '@salesforce/label/c.TimeReport_Share';
+import previous from '@salesforce/label/c.TimeReport_Previous';
+import noProject from '@salesforce/label/c.TimeReport_NoProject';
+import noHours from '@salesforce/label/c.TimeReport_NoHours';
+import invalidRange from '@salesforce/label/c.TimeReport_InvalidRange';
+import rangeTooLong from '@salesforce/label/c.TimeReport_RangeTooLong';
+import reportTooLarge from '@salesforce/label/c.TimeReport_ReportTooLarge';
+import loading from '@salesforce/label/c.TimeReport_Loading';
+import chartValue from '@salesforce/label/c.TimeReport_ChartValue';
+
+export default {
+    period,
+    thisMonth,
+    lastMonth,
+    thisYear,
+    lastYear,
+    custom,
+    from,
+    to,
+    totalHours,
+    regularHours,
+    overtimeHours,
+    expectedHours,
+    difference,
+    entries,
+    perWorkedDay,
+    perWeek,
+    previousPeriod,
+    comparison,
+    comparisonNoPercent,
+    comparisonCount,
+    comparisonCountNoPercent,
+    dailyHours,
+    weeklyTrend,
+    byMonth,
+    byWeekday,
+    byProject,
+    byUser,
+    month,
+    weekday,
+    project,
+    user,
+    hours,
+    share,
+    previous,
+    noProject,
+    noHours,
+    invalidRange,
+    rangeTooLong,
+    reportTooLarge,
+    loading,
+    chartValue
+};
@@ -0,0 +1,351 @@
+import { LightningElement, api } from 'lwc';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import LOCALE from '@salesforce/i18n/locale';
+import fetchReport from '@salesforce/apex/CalendarController.fetchReport';
+import { fromWallClock, toLocalDate, addDays, daysBetween } from 'c/timeZoneUtils';
+import { getWeekdayNames, getMonthNames, formatLabel } from 'c/localization';
+import {
+    PERIOD_PRESET,
+    getPresetPeriod,
+    getPreviousPeriod,
+    getDailyTotals,
+    getWeeklyTotals,
+    getMonthlyTotals,
+    getAverages,
+    compare,
+    buildBarChart,
+    buildLineChart
+} from 'c/reportSummary';
+import LABELS from './labels';
+
+// see CalendarController.MAX_REPORT_DAYS
+const MAX_REPORT_DAYS = 1830;
+// validation error of CalendarController.fetchReport for a period with too many entries
+const REPORT_TOO_LARGE = 'REPORT_TOO_LARGE';
+const CUSTOM_PERIOD = 'custom';
+// row of the entries without a project
+const NO_PROJECT_KEY = 'none';
+// viewBox of the charts, stretched to the width of the panel
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 150;
+
+const WEEKDAYS = getWeekdayNames(LOCALE, 'long'); // from Monday
+const MONTHS = getMonthNames(LOCALE, 'short');
+const NUMBER_FORMAT = new Intl.NumberFormat(LOCALE, { maximumFractionDigits: 2 });
+const SIGNED_NUMBER_FORMAT = new Intl.NumberFormat(LOCALE, { maximumFractionDigits: 2, signDisplay: 'exceptZero' });
+const PERCENT_FORMAT = new Intl.NumberFormat(LOCALE, { style: 'percent', maximumFractionDigits: 1 });
+const DAY_FORMAT = new Intl.DateTimeFormat(LOCALE, { dateStyle: 'medium', timeZone: 'UTC' });
+
+export default class TimeReport extends LightningElement {
+
+    label = LABELS;
+
+    preset = PERIOD_PRESET.thisMonth;
+    start; // first and last day of the period picked, 'YYYY-MM-DD' in the user's time zone
+    end;
+    rangeError;
+
+    // the reports last fetched, with the periods they cover
+    report;
+    previousReport;
+    period;
+    previousPeriod;
+
+    openSpinner = false;
+    requestId = 0; // answers of an earlier period are dropped
+    _teamMode = false;
+
+    /**
+     * @description Report on the entries of the direct reports of the user instead of their own, as the team mode of c-calendar.
+     */
+    @api
+    get teamMode() {
+        return this._teamMode;
+    }
+    set teamMode(value) {
+        const teamMode = value === true;
+        if (teamMode !== this._teamMode) {
+            this._teamMode = teamMode;
+            if (this.isConnected) {
+                this.loadReport();
+            }
+        }
+    }
+
+    connectedCallback() {
+        this.setPeriod(getPresetPeriod(this.preset, toLocalDate(new Date(), TIME_ZONE)));
+        this.loadReport();
+    }
+
+    /**
+     * @description Fetch the report again, e.g. once entries were changed on the calendar.
+     */
+    @api
+    refresh() {
+        this.loadReport();
+    }
+
+    presetChangeHandler(event) {
+        this.preset = event.detail.value;
+        if (this.preset !== CUSTOM_PERIOD) {
+            this.setPeriod(getPresetPeriod(this.preset, toLocalDate(new Date(), TIME_ZONE)));
+            this.loadReport();
+        }
+    }
+
+    startChangeHandler(event) {
+        this.preset = CUSTOM_PERIOD;
+        this.start = event.detail.value;
+        this.loadReport();
+    }
+
+    endChangeHandler(event) {
+        this.preset = CUSTOM_PERIOD;
+        this.end = event.detail.value;
+        this.loadReport();
+    }
+
+    setPeriod({ start, end }) {
+        this.start = start;
+        this.end = end;
+    }
+
+    /**
+     * @description Fetch the report of the period picked and of the period before it, to compare with.
+     */
+    loadReport() {
+        this.rangeError = this.validatePeriod();
+        if (this.rangeError) {
+            return;
+        }
+        const period = { start: this.start, end: this.end };
+        const previousPeriod = getPreviousPeriod(period.start, period.end);
+        const requestId = ++this.requestId;
+        this.openSpinner = true;
+        Promise.all([this.fetchPeriod(period), this.fetchPeriod(previousPeriod)])
+            .then(([report, previousReport]) => {
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                this.report = report;
+                this.previousReport = previousReport;
+                this.period = period;
+                this.previousPeriod = previousPeriod;
+                this.openSpinner = false;
+            })
+            .catch(error => {
+                if (requestId !== this.requestId) {
+                    return;
+                }
+                console.error('Error occured on loadReport', error);
+                this.report = null;
+                if (getErrorCode(error) === REPORT_TOO_LARGE) {
+                    this.rangeError = LABELS.reportTooLarge;
+                } else {
+                    this.showError(error);
+                }
+                this.openSpinner = false;
+            });
+    }
+
+    /**
+     * @description Report of the entries starting from the first day of the period to the end of its last day, in the user's time zone.
+     */
+    fetchPeriod({ start, end }) {
+        return fetchReport({
+            'rangeStart': fromWallClock(start, TIME_ZONE).toISOString(),
+            'rangeEnd': fromWallClock(addDays(end, 1), TIME_ZONE).toISOString(),
+            'teamMode': this.teamMode
+        });
+    }
+
+    validatePeriod() {
+        if (!this.start || !this.end) {
+            return LABELS.invalidRange;
+        }
+        const days = daysBetween(this.start, this.end) + 1;
+        if (days < 1) {
+            return LABELS.invalidRange;
+        }
+        if (days > MAX_REPORT_DAYS) {
+            return formatLabel(LABELS.rangeTooLong, MAX_REPORT_DAYS);
+        }
+        return null;
+    }
+
+    showError(error) {
+        const toast = this.template.querySelector('c-notification');
+        if (toast) {
+            toast.showError(error);
+        };
+    }
+
+    get presetOptions() {
+        return [
+            ...Object.values(PERIOD_PRESET).map(preset => ({ label: LABELS[preset], value: preset })),
+            { label: LABELS.custom, value: CUSTOM_PERIOD }
+        ];
+    }
+
+    get hasReport() {
+        return !!this.report && !this.rangeError;
+    }
+
+    get hasHours() {
+        return this.hasReport && this.report.entryCount > 0;
+    }
+
+    get previousPeriodLabel() {
+        return formatLabel(LABELS.previousPeriod, formatDay(this.previousPeriod.start), formatDay(this.previousPeriod.end));
+    }
+
+    /**
+     * @description Totals and averages of the period, each with its change from the previous period.
+     *              Regular and overtime hours follow the working-time rules of each user, expected hours their work schedule.
+     */
+    get summaryCards() {
+        const current = getAverages(this.report, this.period.start, this.period.end);
+        const previous = getAverages(this.previousReport, this.previousPeriod.start, this.previousPeriod.end);
+        return [
+            { key: 'total', label: LABELS.totalHours, value: current.total, previous: previous.total },
+            { key: 'regular', label: LABELS.regularHours, value: this.report.regularHours, previous: this.previousReport.regularHours },
+            { key: 'overtime', label: LABELS.overtimeHours, value: this.report.overtimeHours, previous: this.previousReport.overtimeHours },
+            { key: 'expected', label: LABELS.expectedHours, value: this.report.expectedHours, previous: this.previousReport.expectedHours },
+            {
+                key: 'difference',
+                label: LABELS.difference,
+                value: this.report.totalHours - this.report.expectedHours,
+                previous: this.previousReport.totalHours - this.previousReport.expectedHours,
+                signed: true
+            },
+            { key: 'entries', label: LABELS.entries, value: this.report.entryCount, previous: this.previousReport.entryCount },
+            { key: 'perWorkedDay', label: LABELS.perWorkedDay, value: current.perWorkedDay, previous: previous.perWorkedDay },
+            { key: 'perWeek', label: LABELS.perWeek, value: current.perWeek, previous: previous.perWeek }
+        ].map(card => {
+            // the change of a value that can be negative makes no sense in percent
+            const { difference, percentage } = compare(card.value, card.previous);
+            return {
+                key: card.key,
+                label: card.label,
+                value: (card.signed ? SIGNED_NUMBER_FORMAT : NUMBER_FORMAT).format(card.value),
+                comparison: formatComparison({ difference, percentage: card.signed ? null : percentage }, card.key === 'entries')
+            };
+        });
+    }
+
+    get dailyBars() {
+        const days = getDailyTotals(this.report.days, this.period.start, this.period.end);
+        return buildBarChart(
+            days.map(({ day, hours }) => ({ key: day, title: formatLabel(LABELS.chartValue, formatDay(day), NUMBER_FORMAT.format(hours)), hours })),
+            CHART_WIDTH,
+            CHART_HEIGHT
+        );
+    }
+
+    get weeklyTrend() {
+        const weeks = getWeeklyTotals(this.report.days, this.period.start, this.period.end);
+        return buildLineChart(
+            weeks.map(({ weekStart, hours }) => ({ key: weekStart, title: formatLabel(LABELS.chartValue, formatDay(weekStart), NUMBER_FORMAT.format(hours)), hours })),
+            CHART_WIDTH,
+            CHART_HEIGHT
+        );
+    }
+
+    get chartViewBox() {
+        return `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`;
+    }
+
+    /**
+     * @description Tables of the hours by month, weekday, project and user, with their share of the total
+     *              and the hours of the previous period.
+     */
+    get breakdowns() {
+        const months = getMonthlyTotals(this.report.months, this.period.start, this.period.end);
+        const previousMonths = getMonthlyTotals(this.previousReport.months, this.previousPeriod.start, this.previousPeriod.end);
+        // hours of the previous period by project or user id
+        const previousHours = totals => {
+            const hoursById = new Map(totals.map(total => [total.id || NO_PROJECT_KEY, total.hours]));
+            return row => ({ ...row, previous: hoursById.get(row.key) || 0 });
+        };
+
+        return [
+            {
+                key: 'month',
+                title: LABELS.byMonth,
+                column: LABELS.month,
+                // months are compared with the month at the same place of the previous period
+                rows: months.map((month, index) => ({
+                    key: month.month,
+                    name: `${MONTHS[Number(month.month.slice(5, 7)) - 1]} ${month.month.slice(0, 4)}`,
+                    hours: month.hours,
+                    previous: previousMonths[index] ? previousMonths[index].hours : 0
+                }))
+            },
+            {
+                key: 'weekday',
+                title: LABELS.byWeekday,
+                column: LABELS.weekday,
+                rows: WEEKDAYS.map((name, index) => ({
+                    key: String(index + 1),
+                    name,
+                    hours: this.report.weekdays[String(index + 1)] || 0,
+                    previous: this.previousReport.weekdays[String(index + 1)] || 0
+                }))
+            },
+            {
+                key: 'project',
+                title: LABELS.byProject,
+                column: LABELS.project,
+                rows: this.report.projects
+                    .map(project => ({ key: project.id || NO_PROJECT_KEY, name: project.name || LABELS.noProject, color: project.color, hours: project.hours }))
+                    .map(previousHours(this.previousReport.projects))
+            },
+            {
+                key: 'user',
+                title: LABELS.byUser,
+                column: LABELS.user,
+                rows: this.report.users
+                    .map(user => ({ key: user.id, name: user.name, hours: user.hours }))
+                    .map(previousHours(this.previousReport.users))
+            }
+        ].map(breakdown => ({
+            ...breakdown,
+            rows: breakdown.rows.map(row => ({
+                key: row.key,
+                name: row.name,
+                hasColor: !!row.color,
+                swatchStyle: row.color ? `background-color: ${row.color};` : '',
+                hours: NUMBER_FORMAT.format(row.hours),
+                share: PERCENT_FORMAT.format(this.report.totalHours ? row.hours / this.report.totalHours : 0),
+                previous: NUMBER_FORMAT.format(row.previous)
+            }))
+        }));
+    }
+}
+
+/**
+ * @description Code of a structured validation error thrown by Apex, or null for other errors.
+ */
+function getErrorCode(error) {
+    try {
+        const validationError = JSON.parse(error.body.message);
+        return validationError && validationError.code ? validationError.code : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function formatDay(localDate) {
+    return DAY_FORMAT.format(new Date(`${localDate}T00:00:00Z`));
+}
+
+/**
+ * @description Change from the previous period, in percent unless the previous period has none.
+ */
+function formatComparison({ difference, percentage }, isCount) {
+    const change = SIGNED_NUMBER_FORMAT.format(difference);
+    if (percentage === null) {
+        return formatLabel(isCount ? LABELS.comparisonCountNoPercent : LABELS.comparisonNoPercent, change);
+    }
+    return formatLabel(isCount ? LABELS.comparisonCount : LABELS.comparison, change, SIGNED_NUMBER_FORMAT.format(percentage));
+}
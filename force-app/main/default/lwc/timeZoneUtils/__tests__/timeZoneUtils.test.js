@@ -0,0 +1,48 @@
+import { getTimeZoneOffset, toWallClock, fromWallClock, toLocalDate, getWeekStart, getWeekNumber, splitByLocalDay } from 'c/timeZoneUtils';
+
+const TIME_ZONE = 'America/New_York';
+
+describe('c-time-zone-utils', () => {
+    it('uses the offset that applies on each side of a DST change', () => {
+        expect(getTimeZoneOffset('2024-03-09T17:00:00.000Z', TIME_ZONE)).toBe(-300);
+        expect(getTimeZoneOffset('2024-03-11T17:00:00.000Z', TIME_ZONE)).toBe(-240);
+    });
+
+    it('converts wall-clock time to UTC and back', () => {
+        expect(fromWallClock('2024-03-09T09:00:00', TIME_ZONE).toISOString()).toBe('2024-03-09T14:00:00.000Z');
+        expect(fromWallClock('2024-03-11T09:00:00', TIME_ZONE).toISOString()).toBe('2024-03-11T13:00:00.000Z');
+        expect(toWallClock('2024-03-11T13:00:00.000Z', TIME_ZONE)).toBe('2024-03-11T09:00:00');
+    });
+
+    it('returns the calendar day in the time zone', () => {
+        expect(toLocalDate('2024-03-12T02:00:00.000Z', TIME_ZONE)).toBe('2024-03-11');
+    });
+
+    it('returns the Monday of the week', () => {
+        expect(getWeekStart('2024-03-24')).toBe('2024-03-18');
+        expect(getWeekStart('2024-03-18')).toBe('2024-03-18');
+        expect(getWeekStart('2024-01-03')).toBe('2024-01-01');
+    });
+
+    it('numbers weeks the ISO or the US way', () => {
+        const iso = { firstDay: 1, minimalDays: 4 };
+        const us = { firstDay: 0, minimalDays: 1 };
+
+        // 2021-01-01 is a Friday, so it is in the last ISO week of 2020
+        expect(getWeekNumber('2021-01-01', iso)).toBe(53);
+        expect(getWeekNumber('2021-01-04', iso)).toBe(1);
+        expect(getWeekNumber('2024-12-30', iso)).toBe(1);
+        expect(getWeekNumber('2021-01-01', us)).toBe(1);
+        expect(getWeekNumber('2021-01-03', us)).toBe(2);
+        expect(getWeekNumber('2024-12-29', us)).toBe(1);
+    });
+
+    it('splits a range at each local midnight', () => {
+        // 22:00 to 06:00 in New York
+        expect(splitByLocalDay('2024-03-19T02:00:00.000Z', '2024-03-19T10:00:00.000Z', TIME_ZONE)).toEqual([
+            { day: '2024-03-18', start: '2024-03-19T02:00:00.000Z', end: '2024-03-19T04:00:00.000Z' },
+            { day: '2024-03-19', start: '2024-03-19T04:00:00.000Z', end: '2024-03-19T10:00:00.000Z' }
+        ]);
+        expect(splitByLocalDay('2024-03-19T13:00:00.000Z', '2024-03-19T21:00:00.000Z', TIME_ZONE)).toHaveLength(1);
+    });
+});
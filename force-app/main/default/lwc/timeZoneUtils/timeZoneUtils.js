@@ -0,0 +1,141 @@
+/**
+ * @description Conversions between UTC instants and wall-clock time of an IANA time zone (e.g. 'Europe/Paris'),
+ *              using the offset that applies on each date, so entries across a DST change stay correct.
+ *              Wall-clock time is written as 'YYYY-MM-DDTHH:mm:ss' without an offset.
+ */
+
+const MILLISECONDS_PER_MINUTE = 60 * 1000;
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function getWallClockParts(instant, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return parts;
+}
+
+/**
+ * @description Offset of the time zone from UTC at the given instant, in minutes (e.g. 120 for UTC+2).
+ */
+export function getTimeZoneOffset(instant, timeZone) {
+    const time = new Date(instant).getTime();
+    const parts = getWallClockParts(time, timeZone);
+    const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClockAsUtc - Math.floor(time / 1000) * 1000) / MILLISECONDS_PER_MINUTE);
+}
+
+/**
+ * @description Wall-clock time of the instant in the time zone.
+ */
+export function toWallClock(instant, timeZone) {
+    const parts = getWallClockParts(instant, timeZone);
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * @description Instant of a wall-clock time ('YYYY-MM-DD' or 'YYYY-MM-DDTHH:mm[:ss]') in the time zone.
+ */
+export function fromWallClock(wallClock, timeZone) {
+    const [datePart, timePart = '00:00:00'] = wallClock.split('T');
+    const [year, month, day] = datePart.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = timePart.split(':').map(Number);
+    const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    // the offset depends on the instant, so correct it once more in case the first guess crossed a DST change
+    const firstGuess = wallClockAsUtc - getTimeZoneOffset(wallClockAsUtc, timeZone) * MILLISECONDS_PER_MINUTE;
+    return new Date(wallClockAsUtc - getTimeZoneOffset(firstGuess, timeZone) * MILLISECONDS_PER_MINUTE);
+}
+
+/**
+ * @description Calendar day of the instant in the time zone, as 'YYYY-MM-DD'.
+ */
+export function toLocalDate(instant, timeZone) {
+    return toWallClock(instant, timeZone).split('T')[0];
+}
+
+/**
+ * @description Instant in the time zone as 'YYYY-MM-DD HH:mm', for files and previews.
+ */
+export function formatDateTime(instant, timeZone) {
+    return toWallClock(instant, timeZone).slice(0, 16).replace('T', ' ');
+}
+
+const MILLISECONDS_PER_DAY = 24 * 60 * MILLISECONDS_PER_MINUTE;
+
+function parseDate(localDate) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * @description Calendar day a number of days after a 'YYYY-MM-DD' calendar day, as 'YYYY-MM-DD'.
+ */
+export function addDays(localDate, days) {
+    return new Date(parseDate(localDate) + days * MILLISECONDS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * @description Number of days from one 'YYYY-MM-DD' calendar day to another.
+ */
+export function daysBetween(fromDate, toDate) {
+    return Math.round((parseDate(toDate) - parseDate(fromDate)) / MILLISECONDS_PER_DAY);
+}
+
+/**
+ * @description Monday of the week of a 'YYYY-MM-DD' calendar day, as 'YYYY-MM-DD', see TimesheetController.getWeekStart.
+ */
+export function getWeekStart(localDate) {
+    // getUTCDay() starts on Sunday
+    return addDays(localDate, -((new Date(parseDate(localDate)).getUTCDay() + 6) % 7));
+}
+
+/**
+ * @description Week number of a 'YYYY-MM-DD' calendar day, the same as FullCalendar's weekNumbers column.
+ * @param weekRules { firstDay, minimalDays } of c/localization: the first day of the week, 0 = Sunday,
+ *                  and the days of the new year week 1 has at least, e.g. 4 for ISO 8601
+ */
+export function getWeekNumber(localDate, weekRules) {
+    const { firstDay, minimalDays } = weekRules;
+    const getFirstDayOfWeek = date => addDays(date, -((new Date(parseDate(date)).getUTCDay() - firstDay + 7) % 7));
+    const weekStart = getFirstDayOfWeek(localDate);
+    // the week belongs to the year it has at least minimalDays in, and week 1 of that year holds its minimalDays-th day
+    const year = addDays(weekStart, 7 - minimalDays).slice(0, 4);
+    const firstWeekStart = getFirstDayOfWeek(`${year}-01-${String(minimalDays).padStart(2, '0')}`);
+    return daysBetween(firstWeekStart, weekStart) / 7 + 1;
+}
+
+/**
+ * @description Split the range from start to end at each midnight of the time zone.
+ * @returns one { day, start, end } per calendar day the range covers, day as 'YYYY-MM-DD', start and end as ISO strings in UTC
+ */
+export function splitByLocalDay(start, end, timeZone) {
+    const endTime = new Date(end).getTime();
+    const segments = [];
+    let segmentStart = new Date(start);
+    let day = toLocalDate(segmentStart, timeZone);
+    do {
+        const nextMidnight = fromWallClock(addDays(day, 1), timeZone);
+        const segmentEnd = new Date(Math.min(nextMidnight.getTime(), endTime));
+        segments.push({ day, start: segmentStart.toISOString(), end: segmentEnd.toISOString() });
+        segmentStart = nextMidnight;
+        day = addDays(day, 1);
+    } while (segmentStart.getTime() < endTime);
+    return segments;
+}
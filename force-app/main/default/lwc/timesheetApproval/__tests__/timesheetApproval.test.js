@@ -0,0 +1,45 @@
+import { createElement } from 'lwc';
+import TimesheetApproval from 'c/timesheetApproval';
+import fetchPendingTimesheets from '@salesforce/apex/TimesheetController.fetchPendingTimesheets';
+
+jest.mock(
+    '@salesforce/apex/TimesheetController.fetchPendingTimesheets',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/TimesheetController.reviewTimesheet',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('c-timesheet-approval', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists the timesheets waiting for approval', async () => {
+        // Arrange
+        fetchPendingTimesheets.mockResolvedValue([
+            { id: 'a01000000000001', employeeName: 'Jordan Lee', weekStart: '2024-03-18', hours: 38.5, entryCount: 5 }
+        ]);
+        const element = createElement('c-timesheet-approval', {
+            is: TimesheetApproval
+        });
+
+        // Act
+        document.body.appendChild(element);
+        await flushPromises();
+
+        // Assert
+        const rows = element.shadowRoot.querySelectorAll('tbody tr');
+        expect(rows.length).toBe(1);
+        expect(rows[0].textContent).toContain('Jordan Lee');
+    });
+});
@@ -0,0 +1,93 @@
+import { LightningElement, track } from 'lwc';
+import fetchPendingTimesheets from '@salesforce/apex/TimesheetController.fetchPendingTimesheets';
+import reviewTimesheet from '@salesforce/apex/TimesheetController.reviewTimesheet';
+
+// see TimesheetController.STATUS_*
+const REVIEW_STATUS = {
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+const TOAST_MESSAGE = {
+    [REVIEW_STATUS.approved]: 'The timesheet is approved!',
+    [REVIEW_STATUS.rejected]: 'The timesheet is rejected!'
+};
+
+export default class TimesheetApproval extends LightningElement {
+
+    @track timesheets = []; // submitted timesheets of the current user's team, with the comment typed for each
+    openSpinner = false;
+
+    connectedCallback() {
+        this.loadTimesheets();
+    }
+
+    /**
+     * @description Fetch the timesheets waiting for the approval of the current user.
+     */
+    loadTimesheets() {
+        this.openSpinner = true;
+        fetchPendingTimesheets()
+            .then(data => {
+                this.timesheets = data.map(timesheet => ({ ...timesheet, comment: '' }));
+                this.openSpinner = false;
+            })
+            .catch(error => {
+                console.error('Error occured on loadTimesheets', error);
+                this.timesheets = [];
+                this.showError(error);
+                this.openSpinner = false;
+            });
+    }
+
+    commentChangeHandler(event) {
+        const { id } = event.target.dataset;
+        this.timesheets = this.timesheets.map(timesheet =>
+            timesheet.id === id ? { ...timesheet, comment: event.target.value } : timesheet
+        );
+    }
+
+    approveHandler(event) {
+        this.review(event.target.dataset.id, REVIEW_STATUS.approved);
+    }
+
+    rejectHandler(event) {
+        this.review(event.target.dataset.id, REVIEW_STATUS.rejected);
+    }
+
+    /**
+     * @description Approve or reject a timesheet; it leaves the list once reviewed.
+     */
+    review(timesheetId, status) {
+        const timesheet = this.timesheets.find(item => item.id === timesheetId);
+        this.openSpinner = true;
+        reviewTimesheet({ 'timesheetId': timesheetId, 'status': status, 'comment': timesheet.comment })
+            .then(() => {
+                this.timesheets = this.timesheets.filter(item => item.id !== timesheetId);
+                this.showToast(TOAST_MESSAGE[status], 'success');
+                this.openSpinner = false;
+            })
+            .catch(error => {
+                console.error('Error occured on review', error);
+                this.showError(error);
+                this.openSpinner = false;
+            });
+    }
+
+    showToast(message, variant) {
+        const toast = this.template.querySelector('c-notification');
+        if (toast) {
+            toast.showToast(message, variant);
+        };
+    }
+
+    showError(error) {
+        const toast = this.template.querySelector('c-notification');
+        if (toast) {
+            toast.showError(error);
+        };
+    }
+
+    get hasTimesheets() {
+        return this.timesheets.length > 0;
+    }
+}
@@ -0,0 +1,33 @@
+import { buildTimesheetCsv, buildICalendar } from 'c/timesheetExport';
+
+const EVENTS = [
+    { id: 'a01000000000001', start: '2024-03-18T09:00:00.000Z', end: '2024-03-18T12:00:00.000Z', hours: 3 },
+    { id: 'a01000000000002', start: '2024-03-18T13:00:00.000Z', end: '2024-03-18T17:30:00.000Z', hours: 4.5 }
+];
+
+describe('c-timesheet-export', () => {
+    it('adds daily, weekly and total subtotal rows to the CSV', () => {
+        const csv = buildTimesheetCsv([{
+            weekNumber: 12,
+            weeks: [{ title: '2024-03-18', weekday: 'Mon', events: EVENTS }]
+        }], 'Europe/Paris');
+        const rows = csv.trim().split('\r\n');
+
+        expect(rows[0]).toBe('Type,Week,Date,Weekday,Start,End,Hours');
+        expect(rows).toHaveLength(6);
+        expect(rows[1]).toBe('Entry,12,2024-03-18,Mon,2024-03-18 10:00,2024-03-18 13:00,3.00');
+        expect(rows[3]).toBe('Daily Subtotal,12,2024-03-18,Mon,,,7.50');
+        expect(rows[4]).toBe('Weekly Subtotal,12,,,,,7.50');
+        expect(rows[5]).toBe('Total,,,,,,7.50');
+    });
+
+    it('writes one VEVENT per entry with UTC start and end', () => {
+        const ics = buildICalendar(EVENTS, new Date('2024-03-20T00:00:00.000Z'));
+
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+        expect(ics).toContain('DTSTART:20240318T090000Z\r\nDTEND:20240318T120000Z');
+        expect(ics).toContain('DTSTAMP:20240320T000000Z');
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * @description Builds the timesheet files exported from c-calendar:
+ *              a CSV timesheet with daily and weekly subtotals, and an iCalendar (RFC 5545) file of the entries.
+ */
+
+import { formatDateTime } from 'c/timeZoneUtils';
+
+const CSV_HEADER = ['Type', 'Week', 'Date', 'Weekday', 'Start', 'End', 'Hours'];
+export const CSV_ROW_TYPE = {
+    entry: 'Entry',
+    daily: 'Daily Subtotal',
+    weekly: 'Weekly Subtotal',
+    total: 'Total'
+};
+const ICS_PRODUCT_ID = '-//Calendar_lwc//Time Entry Export//EN';
+const ICS_UID_DOMAIN = 'calendar-lwc';
+const ICS_MAX_LINE_OCTETS = 75;
+const CRLF = '\r\n';
+
+/**
+ * @description Build the CSV timesheet: one row per entry, then a subtotal row per day and per week, then the total.
+ * @param weekGroups weeks as grouped for the calendar sidebar: [{ weekNumber, weeks: [{ title, weekday, events }] }],
+ *                   overnight entries already split at midnight so each day only holds the hours worked on it
+ * @param timeZone IANA time zone the start and end columns are written in
+ */
+export function buildTimesheetCsv(weekGroups, timeZone) {
+    const rows = [CSV_HEADER];
+    let totalHours = 0;
+
+    weekGroups.forEach(weekGroup => {
+        let weeklyHours = 0;
+        weekGroup.weeks.forEach(dayGroup => {
+            let dailyHours = 0;
+            sortByStart(dayGroup.events).forEach(event => {
+                const hours = Number(event.hours) || 0;
+                dailyHours += hours;
+                rows.push([
+                    CSV_ROW_TYPE.entry,
+                    weekGroup.weekNumber,
+                    dayGroup.title,
+                    dayGroup.weekday,
+                    formatDateTime(event.start, timeZone),
+                    formatDateTime(event.end, timeZone),
+                    formatHours(hours)
+                ]);
+            });
+            rows.push([CSV_ROW_TYPE.daily, weekGroup.weekNumber, dayGroup.title, dayGroup.weekday, '', '', formatHours(dailyHours)]);
+            weeklyHours += dailyHours;
+        });
+        rows.push([CSV_ROW_TYPE.weekly, weekGroup.weekNumber, '', '', '', '', formatHours(weeklyHours)]);
+        totalHours += weeklyHours;
+    });
+    rows.push([CSV_ROW_TYPE.total, '', '', '', '', '', formatHours(totalHours)]);
+
+    return rows.map(row => row.map(escapeCsvValue).join(',')).join(CRLF) + CRLF;
+}
+
+/**
+ * @description Build an iCalendar file with one VEVENT per entry, DTSTART/DTEND in UTC.
+ * @param events calendar events with id, start, end (ISO strings in UTC) and hours
+ * @param now timestamp used for DTSTAMP
+ */
+export function buildICalendar(events, now = new Date()) {
+    const dtstamp = formatIcsDateTime(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    sortByStart(events).forEach(event => {
+        const hours = formatHours(Number(event.hours) || 0);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.id}@${ICS_UID_DOMAIN}`,
+            `DTSTAMP:${dtstamp}`,
+            `DTSTART:${formatIcsDateTime(event.start)}`,
+            `DTEND:${formatIcsDateTime(event.end)}`,
+            `SUMMARY:${escapeIcsText(`${hours} hours`)}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldIcsLine).join(CRLF) + CRLF;
+}
+
+function sortByStart(events) {
+    return [...events].sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function formatHours(hours) {
+    return hours.toFixed(2);
+}
+
+// e.g. 20240318T090000Z
+function formatIcsDateTime(value) {
+    return new Date(value).toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+function escapeCsvValue(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// https://datatracker.ietf.org/doc/html/rfc5545#section-3.3.11
+function escapeIcsText(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// lines longer than 75 octets are folded with CRLF followed by a space: https://datatracker.ietf.org/doc/html/rfc5545#section-3.1
+function foldIcsLine(line) {
+    let folded = '';
+    let lineOctets = 0;
+    for (const char of line) {
+        const charOctets = getUtf8Length(char);
+        if (lineOctets + charOctets > ICS_MAX_LINE_OCTETS) {
+            folded += CRLF + ' ';
+            lineOctets = 1;
+        }
+        folded += char;
+        lineOctets += charOctets;
+    }
+    return folded;
+}
+
+// UTF-8 length of a code point, without TextEncoder which jsdom doesn't provide
+function getUtf8Length(char) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < 0x80) {
+        return 1;
+    }
+    if (codePoint < 0x800) {
+        return 2;
+    }
+    return codePoint < 0x10000 ? 3 : 4;
+}
@@ -0,0 +1,54 @@
+import { parseTimesheetFile, validateImportRows, IMPORT_STATUS } from 'c/timesheetImport';
+
+describe('c-timesheet-import', () => {
+    it('parses the entry rows of an exported CSV and skips subtotals', () => {
+        const csv = [
+            'Type,Week,Date,Weekday,Start,End,Hours',
+            'Entry,12,2024-03-18,Mon,2024-03-18 09:00,2024-03-18 12:00,3.00',
+            'Daily Subtotal,12,2024-03-18,Mon,,,3.00',
+            'Entry,12,2024-03-19,Tue,not a date,2024-03-19 12:00,3.00'
+        ].join('\r\n');
+        const rows = parseTimesheetFile('timesheet.csv', csv, 'Europe/Paris');
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0].start.toISOString()).toBe('2024-03-18T08:00:00.000Z');
+        expect(rows[1].row).toBe(4);
+        expect(rows[1].error).toBeTruthy();
+    });
+
+    it('parses folded VEVENTs of an .ics file in UTC', () => {
+        const ics = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'DTSTART:20240318T090000Z',
+            'DTEND:20240318T1',
+            ' 20000Z',
+            'END:VEVENT',
+            'END:VCALENDAR'
+        ].join('\r\n');
+        const rows = parseTimesheetFile('hours.ics', ics, 'Europe/Paris');
+
+        expect(rows).toHaveLength(1);
+        expect(rows[0].end.toISOString()).toBe('2024-03-18T12:00:00.000Z');
+    });
+
+    it('flags overlaps with existing entries and earlier rows', () => {
+        const rows = [
+            { row: 2, start: new Date('2024-03-18T09:00:00Z'), end: new Date('2024-03-18T10:00:00Z') },
+            { row: 3, start: new Date('2024-03-18T09:30:00Z'), end: new Date('2024-03-18T11:00:00Z') },
+            { row: 4, start: new Date('2024-03-18T13:00:00Z'), end: new Date('2024-03-18T14:00:00Z') }
+        ];
+        const existingEvents = [{ start: '2024-03-18T13:30:00.000Z', end: '2024-03-18T15:00:00.000Z' }];
+        const statuses = validateImportRows(rows, existingEvents, 24).map(row => row.status);
+
+        expect(statuses).toEqual([IMPORT_STATUS.ready, IMPORT_STATUS.overlap, IMPORT_STATUS.overlap]);
+    });
+
+    it('flags rows ending before they start with a translated message', () => {
+        const rows = [{ row: 2, start: new Date('2024-03-18T10:00:00Z'), end: new Date('2024-03-18T09:00:00Z') }];
+        const [row] = validateImportRows(rows, [], 24);
+
+        expect(row.status).toBe(IMPORT_STATUS.invalid);
+        expect(row.message).toBe('c.TimesheetImport_EndBeforeStart');
+    });
+});
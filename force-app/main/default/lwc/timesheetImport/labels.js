@@ -0,0 +1,19 @@
+/**
+ * @description Custom Labels of c-timesheet-import, see labels/CustomLabels.labels-meta.xml.
+ *              {0}, {1}... in a label are filled in with formatLabel of c/localization.
+ */
+import endBeforeStart from '@salesforce/label/c.TimesheetImport_EndBeforeStart';
+import maxDurationExceeded from '@salesforce/label/c.TimesheetImport_MaxDurationExceeded';
+import overlap from '@salesforce/label/c.TimesheetImport_Overlap';
+import invalidStart from '@salesforce/label/c.TimesheetImport_InvalidStart';
+import invalidEnd from '@salesforce/label/c.TimesheetImport_InvalidEnd';
+import missingColumns from '@salesforce/label/c.TimesheetImport_MissingColumns';
+
+export default {
+    endBeforeStart,
+    maxDurationExceeded,
+    overlap,
+    invalidStart,
+    invalidEnd,
+    missingColumns
+};
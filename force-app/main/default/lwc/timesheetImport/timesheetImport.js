@@ -0,0 +1,225 @@
+/**
+ * @description Parses time entries from an uploaded CSV or iCalendar (.ics) file for the c-calendar import
+ *              and flags the rows that can't be imported.
+ */
+import { CSV_ROW_TYPE } from 'c/timesheetExport';
+import { fromWallClock } from 'c/timeZoneUtils';
+import { formatLabel } from 'c/localization';
+import LABELS from './labels';
+
+export const IMPORT_STATUS = {
+    ready: 'Ready',
+    invalid: 'Invalid',
+    overlap: 'Overlap',
+    imported: 'Imported',
+    failed: 'Failed'
+};
+
+const MILLISECONDS_PER_HOUR = 1000 * 60 * 60;
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const ICS_DATETIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const ICS_DURATION_PATTERN = /^PT?(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/;
+
+/**
+ * @description Parse the entries of a CSV (by its Start and End columns) or an .ics file (by its VEVENTs).
+ * @param timeZone IANA time zone of times written without an offset
+ * @returns rows as { row, start, end, error }, start and end being Dates, or null with an error when unparseable
+ */
+export function parseTimesheetFile(fileName, content, timeZone) {
+    return /\.ics$/i.test(fileName) ? parseICalendar(content, timeZone) : parseCsv(content, timeZone);
+}
+
+/**
+ * @description Flag rows with a zero or negative duration, longer than maxEntryHours,
+ *              or overlapping an existing event or an earlier row.
+ * @param existingEvents calendar events with start and end as ISO strings in UTC
+ * @returns the rows with hours, status (IMPORT_STATUS) and message
+ */
+export function validateImportRows(rows, existingEvents, maxEntryHours) {
+    const acceptedRanges = existingEvents.map(event => ({
+        start: new Date(event.start).getTime(),
+        end: new Date(event.end).getTime()
+    }));
+
+    return rows.map(row => {
+        if (row.error) {
+            return { ...row, hours: null, status: IMPORT_STATUS.invalid, message: row.error };
+        }
+
+        const start = row.start.getTime();
+        const end = row.end.getTime();
+        const hours = Math.round((end - start) / MILLISECONDS_PER_HOUR * 100) / 100;
+        if (hours <= 0) {
+            return { ...row, hours, status: IMPORT_STATUS.invalid, message: LABELS.endBeforeStart };
+        }
+        if (hours > maxEntryHours) {
+            return { ...row, hours, status: IMPORT_STATUS.invalid, message: formatLabel(LABELS.maxDurationExceeded, maxEntryHours) };
+        }
+        if (acceptedRanges.some(range => range.start < end && range.end > start)) {
+            return { ...row, hours, status: IMPORT_STATUS.overlap, message: LABELS.overlap };
+        }
+
+        acceptedRanges.push({ start, end });
+        return { ...row, hours, status: IMPORT_STATUS.ready, message: '' };
+    });
+}
+
+function toImportRow(row, start, end) {
+    let error = null;
+    if (!start) {
+        error = LABELS.invalidStart;
+    } else if (!end) {
+        error = LABELS.invalidEnd;
+    }
+    return { row, start, end, error };
+}
+
+/**
+ * @description Rows of the exported timesheet other than entries (subtotals) are skipped.
+ */
+function parseCsv(content, timeZone) {
+    const [header, ...records] = parseCsvRecords(content);
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+    const typeIndex = columns.indexOf('type');
+    const startIndex = columns.indexOf('start');
+    const endIndex = columns.indexOf('end');
+    if (startIndex < 0 || endIndex < 0) {
+        throw new Error(LABELS.missingColumns);
+    }
+
+    const rows = [];
+    records.forEach((record, index) => {
+        const isBlank = record.every(value => !value.trim());
+        const isEntry = typeIndex < 0 || record[typeIndex] === CSV_ROW_TYPE.entry;
+        if (!isBlank && isEntry) {
+            // + 2 for the header and the 1-based row number shown in spreadsheets
+            rows.push(toImportRow(
+                index + 2,
+                parseDateTime(record[startIndex], timeZone),
+                parseDateTime(record[endIndex], timeZone)
+            ));
+        }
+    });
+    return rows;
+}
+
+// RFC 4180: quoted values may contain commas, line breaks and doubled quotes
+function parseCsvRecords(content) {
+    const records = [];
+    let record = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') {
+                i++;
+            }
+            record.push(value);
+            records.push(record);
+            record = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value || record.length) {
+        record.push(value);
+        records.push(record);
+    }
+    return records;
+}
+
+/**
+ * @description Accepts wall-clock time as 'YYYY-MM-DD HH:mm[:ss]' (the exported format) or an ISO string with a zone.
+ */
+function parseDateTime(value, timeZone) {
+    const text = (value || '').trim();
+    if (LOCAL_DATETIME_PATTERN.test(text)) {
+        return fromWallClock(text.replace(' ', 'T'), timeZone);
+    }
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const date = new Date(text);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    return null;
+}
+
+function parseICalendar(content, timeZone) {
+    // unfold continuation lines: https://datatracker.ietf.org/doc/html/rfc5545#section-3.1
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const rows = [];
+    let properties = null;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            properties = {};
+        } else if (line === 'END:VEVENT' && properties) {
+            const start = parseIcsDateTime(properties.DTSTART, timeZone);
+            const end = properties.DTEND
+                ? parseIcsDateTime(properties.DTEND, timeZone)
+                : addIcsDuration(start, properties.DURATION);
+            rows.push(toImportRow(rows.length + 1, start, end));
+            properties = null;
+        } else if (properties) {
+            const separatorIndex = line.indexOf(':');
+            if (separatorIndex > 0) {
+                const [name, ...params] = line.slice(0, separatorIndex).split(';');
+                properties[name.toUpperCase()] = { value: line.slice(separatorIndex + 1).trim(), params };
+            }
+        }
+    });
+    return rows;
+}
+
+/**
+ * @description UTC (trailing Z), floating times and times with a TZID are supported; times without Z are read
+ *              in their TZID or else in timeZone. All-day dates are rejected since they don't make a time entry.
+ */
+function parseIcsDateTime(property, timeZone) {
+    const match = property && property.value.match(ICS_DATETIME_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    if (utc) {
+        return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    }
+
+    const tzidParam = property.params.find(param => param.toUpperCase().startsWith('TZID='));
+    const wallClock = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+    try {
+        return fromWallClock(wallClock, tzidParam ? tzidParam.slice(5) : timeZone);
+    } catch (e) {
+        // unknown TZID, e.g. a Windows zone name
+        return fromWallClock(wallClock, timeZone);
+    }
+}
+
+function addIcsDuration(start, property) {
+    const match = start && property && property.value.match(ICS_DURATION_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part) || 0);
+    return new Date(start.getTime() + (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000);
+}
@@ -0,0 +1,69 @@
+import { evaluateWorkingTime, calculateHours, splitEventByDay, getExpectedHours, DEFAULT_RULES, DEFAULT_SCHEDULE, RULE_VIOLATION, ROUNDING_MODE } from 'c/workingTimeRules';
+
+const TIME_ZONE = 'UTC';
+
+function entry(date, startHour, endHour) {
+    const start = `${date}T${String(startHour).padStart(2, '0')}:00:00.000Z`;
+    const end = `${date}T${String(endHour).padStart(2, '0')}:00:00.000Z`;
+    return { start, end, hours: endHour - startHour };
+}
+
+describe('c-working-time-rules', () => {
+    it('counts hours over the daily limit, then over the weekly limit, as overtime', () => {
+        // Monday to Friday 10h a day: 2h daily overtime each, 40h left so no weekly overtime
+        const events = ['2024-03-18', '2024-03-19', '2024-03-20', '2024-03-21', '2024-03-22']
+            .map(date => entry(date, 7, 17));
+
+        const result = evaluateWorkingTime(events, DEFAULT_RULES, TIME_ZONE);
+
+        expect(result.days['2024-03-18']).toEqual({ hours: 10, regularHours: 8, overtimeHours: 2 });
+        expect(result.weeks['2024-03-18']).toEqual({ hours: 50, regularHours: 40, overtimeHours: 10 });
+        expect(result.violations.filter(v => v.code === RULE_VIOLATION.weeklyHours)).toHaveLength(0);
+    });
+
+    it('flags short rests and too many consecutive working days', () => {
+        const events = [
+            entry('2024-03-18', 14, 22),
+            entry('2024-03-19', 6, 14), // 8h after the previous shift
+            ...['2024-03-20', '2024-03-21', '2024-03-22', '2024-03-23', '2024-03-24'].map(date => entry(date, 8, 12))
+        ];
+
+        const { violations } = evaluateWorkingTime(events, DEFAULT_RULES, TIME_ZONE);
+
+        expect(violations).toContainEqual({ code: RULE_VIOLATION.rest, day: '2024-03-19', values: ['2024-03-19', 8, DEFAULT_RULES.minRestHours] });
+        expect(violations).toContainEqual({ code: RULE_VIOLATION.consecutiveDays, day: '2024-03-24', values: ['2024-03-24', 7, DEFAULT_RULES.maxConsecutiveDays] });
+    });
+
+    it('deducts the break and rounds to the increment like Apex', () => {
+        const start = '2024-03-18T09:00:00.000Z';
+        const end = '2024-03-18T17:07:00.000Z';
+        const rules = mode => ({ ...DEFAULT_RULES, roundingMode: mode, roundingIncrement: 15 });
+
+        expect(calculateHours(start, end, 30, rules(ROUNDING_MODE.none))).toBe(7.62);
+        expect(calculateHours(start, end, 30, rules(ROUNDING_MODE.nearest))).toBe(7.5);
+        expect(calculateHours(start, end, 30, rules(ROUNDING_MODE.up))).toBe(7.75);
+        expect(calculateHours(start, end, 30, rules(ROUNDING_MODE.down))).toBe(7.5);
+    });
+
+    it('counts overnight hours on the day they are worked', () => {
+        // Sunday 22:00 to Monday 06:00, across the end of the week
+        const overnight = { start: '2024-03-24T22:00:00.000Z', end: '2024-03-25T06:00:00.000Z', hours: 7.5 };
+
+        expect(splitEventByDay(overnight, TIME_ZONE).map(({ day, hours }) => ({ day, hours }))).toEqual([
+            { day: '2024-03-24', hours: 1.88 },
+            { day: '2024-03-25', hours: 5.62 }
+        ]);
+
+        const result = evaluateWorkingTime([overnight, entry('2024-03-25', 18, 22)], DEFAULT_RULES, TIME_ZONE);
+
+        expect(result.weeks['2024-03-18'].hours).toBe(1.88);
+        expect(result.weeks['2024-03-25'].hours).toBe(9.62);
+        expect(result.violations.filter(v => v.code === RULE_VIOLATION.rest)).toHaveLength(0);
+    });
+
+    it('leaves holidays and days of leave out of the expected hours', () => {
+        expect(getExpectedHours('2024-12-23', DEFAULT_SCHEDULE, [])).toBe(40);
+        // Christmas, and a day of leave on Saturday which isn't a working day anyway
+        expect(getExpectedHours('2024-12-23', DEFAULT_SCHEDULE, ['2024-12-25', '2024-12-28'])).toBe(32);
+    });
+});
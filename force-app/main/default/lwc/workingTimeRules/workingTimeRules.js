@@ -0,0 +1,208 @@
+/**
+ * @description Overtime and working-time rules for c-calendar, the same as WorkingTimeRules.cls:
+ *              hours over the daily and then the weekly threshold are overtime, and short rests between shifts
+ *              or too many consecutive working days are violations.
+ *              Hours are counted on the calendar day of the user's time zone they are worked on,
+ *              and a shift is the entries starting on one calendar day.
+ *              Also previews the paid hours of an entry the way Apex stores them in Hours__c,
+ *              and the hours expected in a week, like WorkSchedule.getExpectedHours.
+ */
+import { toLocalDate, getWeekStart, daysBetween, splitByLocalDay, addDays } from 'c/timeZoneUtils';
+
+// used until the rules of the WorkingTimeRule__mdt Default record are loaded, see WorkingTimeRules.Rules
+export const DEFAULT_RULES = {
+    maxDailyHours: 8,
+    maxWeeklyHours: 40,
+    minRestHours: 11,
+    maxConsecutiveDays: 6,
+    roundingMode: 'None',
+    roundingIncrement: 15
+};
+
+// used until the schedule of the WorkSchedule__c custom setting is loaded, see WorkSchedule.Schedule
+export const DEFAULT_SCHEDULE = {
+    startTime: '09:00',
+    endTime: '17:00',
+    workingDays: [1, 2, 3, 4, 5], // 1 = Monday ... 7 = Sunday
+    dailyHours: 8
+};
+
+// see WorkingTimeRules.ROUNDING_*
+export const ROUNDING_MODE = {
+    none: 'None',
+    nearest: 'Nearest',
+    up: 'Up',
+    down: 'Down'
+};
+
+export const RULE_VIOLATION = {
+    dailyHours: 'DAILY_HOURS_EXCEEDED',
+    weeklyHours: 'WEEKLY_HOURS_EXCEEDED',
+    rest: 'INSUFFICIENT_REST',
+    consecutiveDays: 'MAX_CONSECUTIVE_DAYS_EXCEEDED'
+};
+
+const MILLISECONDS_PER_MINUTE = 1000 * 60;
+const MILLISECONDS_PER_HOUR = MILLISECONDS_PER_MINUTE * 60;
+const ROUNDING_FUNCTION = {
+    [ROUNDING_MODE.nearest]: Math.round,
+    [ROUNDING_MODE.up]: Math.ceil,
+    [ROUNDING_MODE.down]: Math.floor
+};
+
+function round(hours) {
+    return Number(hours.toFixed(2));
+}
+
+/**
+ * @description Paid hours of an entry: its duration less the unpaid break, rounded to the rounding increment,
+ *              like WorkingTimeRules.calculateHours.
+ * @returns hours with two decimals
+ */
+export function calculateHours(start, end, breakMinutes, rules) {
+    let minutes = (new Date(end) - new Date(start)) / MILLISECONDS_PER_MINUTE - (Number(breakMinutes) || 0);
+    const roundingFunction = ROUNDING_FUNCTION[rules.roundingMode];
+    if (roundingFunction) {
+        minutes = roundingFunction(minutes / rules.roundingIncrement) * rules.roundingIncrement;
+    }
+    return Math.max(Math.round(minutes * 100 / 60) / 100, 0);
+}
+
+/**
+ * @description Hours expected in the week starting on weekStart, a Monday as 'YYYY-MM-DD':
+ *              the daily hours of each working day of the schedule that isn't a holiday or a day of leave.
+ * @param nonWorkingDates 'YYYY-MM-DD' of the holidays and days of leave
+ */
+export function getExpectedHours(weekStart, schedule, nonWorkingDates) {
+    let expectedHours = 0;
+    for (let index = 0; index < 7; index++) {
+        const date = addDays(weekStart, index);
+        if (schedule.workingDays.includes(index + 1) && !nonWorkingDates.includes(date)) {
+            expectedHours += Number(schedule.dailyHours);
+        }
+    }
+    return round(expectedHours);
+}
+
+/**
+ * @description Split an entry at each local midnight, so an overnight or multi-day entry counts on every day it covers,
+ *              like WorkingTimeRules.splitByDay. The hours of the entry are shared out in proportion to the time on each day,
+ *              the last day taking the rounding remainder so they still add up.
+ * @returns one { ...event, day, start, end, hours } per calendar day
+ */
+export function splitEventByDay(event, timeZone) {
+    const totalHours = Number(event.hours) || 0;
+    const duration = new Date(event.end) - new Date(event.start);
+    const segments = splitByLocalDay(event.start, event.end, timeZone);
+    let remainingHours = totalHours;
+    return segments.map(({ day, start, end }, index) => {
+        const hours = index === segments.length - 1 || duration <= 0
+            ? round(remainingHours)
+            : round(totalHours * (new Date(end) - new Date(start)) / duration);
+        remainingHours -= hours;
+        return { ...event, day, start, end, hours };
+    });
+}
+
+/**
+ * @description Split the hours of the events into regular and overtime hours per day and per week,
+ *              and list the rule violations.
+ * @param events calendar events with start and end as ISO strings in UTC, and hours
+ * @returns { days, weeks, violations }: days keyed by 'YYYY-MM-DD' and weeks by their Monday,
+ *          each as { hours, regularHours, overtimeHours }; violations as { code, day, values },
+ *          day being the 'YYYY-MM-DD' of the violation, or the Monday for weekly ones,
+ *          and values the day, the hours or days found and the limit, to format the message of the code
+ */
+export function evaluateWorkingTime(events, rules, timeZone) {
+    const days = {};
+    const shifts = {};
+    [...events]
+        .sort((a, b) => new Date(a.start) - new Date(b.start))
+        .forEach(event => {
+            const shiftDate = toLocalDate(event.start, timeZone);
+            if (!shifts[shiftDate]) {
+                shifts[shiftDate] = { firstStart: event.start, lastEnd: event.end };
+            }
+            if (new Date(event.end) > new Date(shifts[shiftDate].lastEnd)) {
+                shifts[shiftDate].lastEnd = event.end;
+            }
+            splitEventByDay(event, timeZone).forEach(segment => {
+                days[segment.day] = { hours: (days[segment.day] ? days[segment.day].hours : 0) + segment.hours };
+            });
+        });
+
+    const violations = [];
+    const weeks = {};
+    const dates = Object.keys(days).sort();
+    let previousShiftDate;
+    let consecutiveDays = 0;
+    dates.forEach(date => {
+        const day = days[date];
+
+        // hours over the daily threshold are overtime, the rest counts towards the weekly threshold
+        day.overtimeHours = Math.max(day.hours - rules.maxDailyHours, 0);
+        if (day.overtimeHours > 0) {
+            violations.push({
+                code: RULE_VIOLATION.dailyHours,
+                day: date,
+                values: [date, round(day.hours), rules.maxDailyHours]
+            });
+        }
+
+        const weekStart = getWeekStart(date);
+        if (!weeks[weekStart]) {
+            weeks[weekStart] = { hours: 0, dailyOvertimeHours: 0 };
+        }
+        weeks[weekStart].hours += day.hours;
+        weeks[weekStart].dailyOvertimeHours += day.overtimeHours;
+
+        // rests and consecutive days are counted between shifts, not the days an overnight shift runs into
+        const shift = shifts[date];
+        if (!shift) {
+            return;
+        }
+        if (previousShiftDate) {
+            const restHours = (new Date(shift.firstStart) - new Date(shifts[previousShiftDate].lastEnd)) / MILLISECONDS_PER_HOUR;
+            if (restHours < rules.minRestHours) {
+                violations.push({
+                    code: RULE_VIOLATION.rest,
+                    day: date,
+                    values: [date, round(Math.max(restHours, 0)), rules.minRestHours]
+                });
+            }
+        }
+
+        consecutiveDays = previousShiftDate && daysBetween(previousShiftDate, date) === 1 ? consecutiveDays + 1 : 1;
+        previousShiftDate = date;
+        if (consecutiveDays > rules.maxConsecutiveDays) {
+            violations.push({
+                code: RULE_VIOLATION.consecutiveDays,
+                day: date,
+                values: [date, consecutiveDays, rules.maxConsecutiveDays]
+            });
+        }
+    });
+
+    const dayTotals = {};
+    dates.forEach(date => {
+        const { hours, overtimeHours } = days[date];
+        dayTotals[date] = { hours: round(hours), regularHours: round(hours - overtimeHours), overtimeHours: round(overtimeHours) };
+    });
+
+    const weekTotals = {};
+    Object.keys(weeks).sort().forEach(weekStart => {
+        const { hours, dailyOvertimeHours } = weeks[weekStart];
+        const weeklyOvertimeHours = Math.max(hours - dailyOvertimeHours - rules.maxWeeklyHours, 0);
+        if (weeklyOvertimeHours > 0) {
+            violations.push({
+                code: RULE_VIOLATION.weeklyHours,
+                day: weekStart,
+                values: [weekStart, round(hours), rules.maxWeeklyHours]
+            });
+        }
+        const overtimeHours = dailyOvertimeHours + weeklyOvertimeHours;
+        weekTotals[weekStart] = { hours: round(hours), regularHours: round(hours - overtimeHours), overtimeHours: round(overtimeHours) };
+    });
+
+    return { days: dayTotals, weeks: weekTotals, violations };
+}